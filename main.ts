@@ -7,13 +7,27 @@ import {
 import { TimerSettings } from './src/types';
 import { timerRegex, extractTimerData } from './src/editor';
 import { timerViewPlugin, setWidgetApp, setWidgetSettings } from './src/widget';
-import { TIMER_MUTATED_EVENT, nowSec } from './src/timer';
+import { TIMER_MUTATED_EVENT, nowSec, badgeClass } from './src/timer';
 import { DEFAULT_SETTINGS, TimerSettingTab } from './src/settings';
 import { handleCommand } from './src/commands';
 import { buildContextMenu } from './src/contextMenu';
-import { recoverRunningTimers, saveAllRunningTimers, pauseOpenEditorsSync, stopAllRunningTimers, expireFinishedCountdowns } from './src/recovery';
+import { recoverRunningTimers, saveAllRunningTimers, pauseOpenEditorsSync, stopAllRunningTimers, expireFinishedCountdowns, heldTimerIds } from './src/recovery';
 import { TimerRenderChild } from './src/postProcessor';
 import { AnalyticsView, ANALYTICS_VIEW_TYPE } from './src/analytics/view';
+import { TimerLedger, setTimerLedger } from './src/ledger';
+import { ExportFormat, ExportRange, exportSessions, summaryTable, todayRange, weekRange } from './src/analytics/export';
+import { openExportRangeModal } from './src/analytics/exportModal';
+import { TimerReportChild, REPORT_BLOCK_LANGUAGE } from './src/analytics/reportBlock';
+import { TimerStatusBar } from './src/statusBar';
+import { TimerSwitcherModal } from './src/switcher';
+import { TimerIndex, setTimerIndex } from './src/timerIndex';
+import { IdleWatcher } from './src/idle';
+import { checkWarnings, clearWarnings } from './src/alerts';
+
+/** Expiry runs shortly after a deadline so open widgets, which tick every second, get there first */
+const EXPIRY_GRACE_MS = 2_000;
+/** Re-check at least this often in case a deadline was missed (e.g. system sleep) */
+const EXPIRY_MAX_DELAY_MS = 60_000;
 
 export default class TimerPlugin extends Plugin {
     settings!: TimerSettings;
@@ -22,26 +36,54 @@ export default class TimerPlugin extends Plugin {
     private enforcingLimit = false;
     private analyticsRegistered = false;
     private analyticsRibbonIcon: HTMLElement | null = null;
+    private ledger: TimerLedger | null = null;
+    private statusBar: TimerStatusBar | null = null;
+    private index: TimerIndex | null = null;
+    private expiryHandle: number | null = null;
 
     async onload() {
         await this.loadSettings();
+
+        // Load the session ledger before recovery so recovered runs are recorded
+        this.ledger = new TimerLedger(this.app, `${this.manifest.dir}/ledger.json`);
+        await this.ledger.load();
+        setTimerLedger(this.ledger);
+
         setWidgetApp(this.app);
         setWidgetSettings(this.settings);
         this.registerEditorExtension(timerViewPlugin);
 
-        await recoverRunningTimers(this.app, this.settings.lastActiveTime);
+        // One full read of the vault; status bar, reports, analytics and recovery use the index afterwards
+        this.index = this.addChild(new TimerIndex(this.app));
+        await this.index.build();
+        setTimerIndex(this.index);
+        this.ledger.prune(new Set(this.index.all().map((t) => t.id)));
+
+        await recoverRunningTimers(this.app, this.settings, () => this.scheduleExpiry());
 
-        // Keep lastActiveTime up to date for recovery and expire finished countdowns
+        // Keep lastActiveTime up to date for recovery
         this.registerInterval(
             window.setInterval(() => {
                 this.settings.lastActiveTime = nowSec();
                 void this.saveSettings();
-                void expireFinishedCountdowns(this.app);
             }, 30_000),
         );
 
+        this.addChild(new IdleWatcher(this.app, this.settings));
+
+        // Expire finished countdowns at their deadline rather than on a polling scan
+        this.registerEvent(this.index.on('changed', (path) => {
+            this.index?.get(path).forEach((timer) => {
+                if (timer.state === 'stopped') clearWarnings(timer.id);
+            });
+            this.scheduleExpiry();
+        }));
+        this.scheduleExpiry();
+
         this.beforeUnloadRef = () => {
             pauseOpenEditorsSync(this.app);
+            // onunload is not reliably called on quit; start writing the runs just closed now
+            void this.ledger?.flush();
         };
         window.addEventListener('beforeunload', this.beforeUnloadRef);
 
@@ -77,7 +119,7 @@ export default class TimerPlugin extends Plugin {
 
                     const data = extractTimerData(m);
                     const span = document.createElement('span');
-                    span.className = `timer-badge timer-${data.kind} timer-${data.state}`;
+                    span.className = badgeClass(data);
                     frag.appendChild(span);
                     ctx.addChild(new TimerRenderChild(span, data, this.app, ctx.sourcePath, this.settings));
 
@@ -94,6 +136,14 @@ export default class TimerPlugin extends Plugin {
             }
         });
 
+        this.statusBar = this.addChild(
+            new TimerStatusBar(this.app, this.addStatusBarItem(), () => this.openTimerSwitcher()),
+        );
+
+        this.registerMarkdownCodeBlockProcessor(REPORT_BLOCK_LANGUAGE, (source, el, ctx) => {
+            ctx.addChild(new TimerReportChild(el, source, this.app));
+        });
+
         this.registerEvent(
             this.app.workspace.on('editor-change', (editor) => {
                 if (this.enforcingLimit) return;
@@ -137,6 +187,13 @@ export default class TimerPlugin extends Plugin {
                 handleCommand(this.app, this.settings, e, v as MarkdownView, 'toggle', 'countdown'),
         });
 
+        this.addCommand({
+            id: 'toggle-pomodoro',
+            name: 'Start/pause pomodoro',
+            editorCallback: (e, v) =>
+                handleCommand(this.app, this.settings, e, v as MarkdownView, 'toggle', 'pomodoro'),
+        });
+
         this.addCommand({
             id: 'stop-timer',
             name: 'Stop timer',
@@ -175,6 +232,44 @@ export default class TimerPlugin extends Plugin {
                 handleCommand(this.app, this.settings, e, v as MarkdownView, 'delete'),
         });
 
+        this.addCommand({
+            id: 'show-running-timers',
+            name: 'Show running and paused timers',
+            callback: () => this.openTimerSwitcher(),
+        });
+
+        const exportFormats: [ExportFormat, string][] = [
+            ['csv', 'CSV'],
+            ['json', 'JSON'],
+            ['ics', 'iCalendar'],
+        ];
+
+        for (const [format, label] of exportFormats) {
+            this.addCommand({
+                id: `export-sessions-${format}`,
+                name: `Export timer sessions to ${label}`,
+                callback: () =>
+                    openExportRangeModal(this.app, `Export sessions to ${label}`, (range) =>
+                        void this.exportSessions(format, range)),
+            });
+        }
+
+        this.addCommand({
+            id: 'insert-today-summary',
+            name: "Insert today's timer summary",
+            editorCallback: async (editor) => {
+                editor.replaceSelection(await summaryTable(this.app, todayRange()));
+            },
+        });
+
+        this.addCommand({
+            id: 'insert-week-summary',
+            name: "Insert this week's timer summary",
+            editorCallback: async (editor) => {
+                editor.replaceSelection(await summaryTable(this.app, weekRange()));
+            },
+        });
+
         this.registerEvent(
             this.app.workspace.on('editor-menu', (menu, editor, view) => {
                 if (view instanceof MarkdownView) {
@@ -191,6 +286,41 @@ export default class TimerPlugin extends Plugin {
         }
     }
 
+    private scheduleExpiry(): void {
+        if (this.expiryHandle !== null) window.clearTimeout(this.expiryHandle);
+        this.expiryHandle = null;
+
+        const deadline = this.index?.nextDeadline(
+            this.settings.countdownWarnings.map((w) => w.seconds),
+            nowSec(),
+            heldTimerIds(),
+        );
+        if (deadline == null) return;
+
+        const delay = Math.min(Math.max(0, deadline * 1000 - Date.now()) + EXPIRY_GRACE_MS, EXPIRY_MAX_DELAY_MS);
+        this.expiryHandle = window.setTimeout(async () => {
+            this.expiryHandle = null;
+            await expireFinishedCountdowns(this.app, this.settings);
+            // Pre-warnings for countdowns in closed notes; open badges have usually fired them already
+            this.index?.all().forEach((timer) => checkWarnings(timer, this.settings));
+            this.scheduleExpiry();
+        }, delay);
+    }
+
+    private openTimerSwitcher(): void {
+        new TimerSwitcherModal(this.app, this.settings, () => this.statusBar?.timers ?? []).open();
+    }
+
+    private async exportSessions(format: ExportFormat, range: ExportRange): Promise<void> {
+        try {
+            const { file, count } = await exportSessions(this.app, this.settings.exportFolder, format, range);
+            new Notice(`Exported ${count} session(s) to ${file.path}.`);
+        } catch (error) {
+            console.error('Timer: export failed', error);
+            new Notice('Failed to export timer sessions.');
+        }
+    }
+
     registerAnalytics(): void {
         if (this.analyticsRegistered) return;
         this.analyticsRegistered = true;
@@ -249,7 +379,20 @@ export default class TimerPlugin extends Plugin {
             this.timerMutatedRef = null;
         }
 
+        if (this.expiryHandle !== null) {
+            window.clearTimeout(this.expiryHandle);
+            this.expiryHandle = null;
+        }
+
         await saveAllRunningTimers(this.app);
+        setTimerIndex(null);
+        this.index = null;
+
+        if (this.ledger) {
+            await this.ledger.flush();
+            setTimerLedger(null);
+            this.ledger = null;
+        }
 
         // Detach analytics views
         this.app.workspace
@@ -0,0 +1,72 @@
+import { Notice } from 'obsidian';
+import { TimerData, TimerSettings } from './types';
+import { currentRemaining, formatDuration, nowSec, playCompletionSound, stopData } from './timer';
+
+/** How long after its time a pre-warning may still fire (covers tick and background-scan delays) */
+const WARNING_WINDOW_SECONDS = 15;
+
+/* Warnings already shown, by timer id, then duration + offset; shared by every view so each fires once */
+const firedWarnings = new Map<string, Set<string>>();
+
+/** Forget the warnings a timer has shown, once it stops or finishes */
+export function clearWarnings(id: string): void {
+    firedWarnings.delete(id);
+}
+
+/** Ask for permission to show OS notifications; true when granted */
+export async function requestNotificationPermission(): Promise<boolean> {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'granted') return true;
+    return (await Notification.requestPermission()) === 'granted';
+}
+
+/** Notice, plus an OS notification when enabled and permitted */
+export function notify(message: string, settings: TimerSettings | null): void {
+    new Notice(message);
+
+    if (!settings?.systemNotifications) return;
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+
+    try {
+        // The plugin plays its own sound when sounds are on
+        new Notification('Tag Timer', { body: message, silent: settings.playCompletionSound });
+    } catch (error) {
+        console.error('Timer: system notification failed', error);
+    }
+}
+
+/** A countdown reached zero: stop it, or keep it running into overtime */
+export function finishCountdown(data: TimerData, settings: TimerSettings | null, ref = nowSec()): TimerData {
+    clearWarnings(data.id);
+    return settings?.countdownOvertime ? { ...data, overtime: true } : stopData(data, ref);
+}
+
+export function announceFinished(settings: TimerSettings | null): void {
+    notify(settings?.countdownOvertime ? 'Timer finished! Counting overtime.' : 'Timer finished!', settings);
+    if (settings?.playCompletionSound) playCompletionSound(settings.soundType);
+}
+
+/** Notice + sound for each pre-warning a running countdown has just reached */
+export function checkWarnings(data: TimerData, settings: TimerSettings | null, ref = nowSec()): void {
+    if (data.state === 'stopped') clearWarnings(data.id);
+    if (!settings || data.kind !== 'countdown' || data.state !== 'running' || data.overtime) return;
+
+    const remaining = currentRemaining(data, ref);
+    if (remaining === 0) return;
+
+    const fired = firedWarnings.get(data.id) ?? new Set<string>();
+
+    for (const warning of settings.countdownWarnings) {
+        // Pausing and resuming keeps the key; a reset, restart or longer time re-arms the warning
+        const key = `${data.duration}:${warning.seconds}`;
+        if (remaining > warning.seconds) fired.delete(key);
+        if (remaining > warning.seconds || remaining <= warning.seconds - WARNING_WINDOW_SECONDS) continue;
+
+        if (fired.has(key)) continue;
+        fired.add(key);
+        firedWarnings.set(data.id, fired);
+
+        notify(`⏲️ ${formatDuration(warning.seconds)} left`, settings);
+        if (settings.playCompletionSound) playCompletionSound(warning.sound);
+    }
+}
@@ -0,0 +1,237 @@
+import { App, TFile, TFolder, normalizePath } from 'obsidian';
+import { TimerSession, collectTimers, startOfDayEpoch, startOfWeekEpoch, dateKey } from './scanner';
+import { fileName, formatHM } from './renderer';
+import { formatDuration } from '../timer';
+import { Segment } from '../ledger';
+
+export type ExportFormat = 'csv' | 'json' | 'ics';
+
+/** Half-open epoch-second range; null bounds are unbounded */
+export interface ExportRange {
+    from: number | null;
+    to: number | null;
+}
+
+/** One session: a single run of a timer, clipped to the export range */
+export interface ExportRow {
+    id: string;
+    filePath: string;
+    line: number;
+    /** Task text without list marker, checkbox, tags or timer tag */
+    task: string;
+    tags: string[];
+    kind: string;
+    state: string;
+    /** Tracked seconds inside the range */
+    seconds: number;
+    start: number;
+    end: number;
+}
+
+/** Local midnight of a YYYY-MM-DD string, in epoch seconds */
+export function parseDay(raw: string): number | null {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(raw.trim());
+    if (!m) return null;
+    const d = new Date(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+    if (d.getMonth() !== parseInt(m[2], 10) - 1) return null;
+    return Math.floor(d.getTime() / 1000);
+}
+
+/** Local midnight after `dayStart` (DST-safe) */
+export function nextDay(dayStart: number): number {
+    const next = new Date(dayStart * 1000);
+    next.setDate(next.getDate() + 1);
+    return Math.floor(next.getTime() / 1000);
+}
+
+export function clipSpans(spans: Segment[], range: ExportRange): Segment[] {
+    const from = range.from ?? -Infinity;
+    const to = range.to ?? Infinity;
+    return spans
+        .map(([start, end]): Segment => [Math.max(start, from), Math.min(end, to)])
+        .filter(([start, end]) => end > start);
+}
+
+export function toRows(sessions: TimerSession[], range: ExportRange): ExportRow[] {
+    const rows: ExportRow[] = [];
+
+    for (const s of sessions) {
+        for (const [start, end] of clipSpans(s.spans, range)) {
+            rows.push({
+                id: s.id,
+                filePath: s.filePath,
+                line: s.line + 1,
+                task: s.context.task,
+                tags: s.context.tags,
+                kind: s.kind,
+                state: s.state,
+                seconds: end - start,
+                start,
+                end,
+            });
+        }
+    }
+
+    return rows.sort((a, b) => a.start - b.start);
+}
+
+function iso(epochSec: number): string {
+    return new Date(epochSec * 1000).toISOString();
+}
+
+function csvCell(value: string | number): string {
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows: ExportRow[]): string {
+    const header = ['file', 'line', 'task', 'tags', 'kind', 'state', 'duration', 'seconds', 'start', 'end'];
+    const lines = rows.map((r) => [
+        r.filePath, r.line, r.task, r.tags.map((t) => `#${t}`).join(' '), r.kind, r.state,
+        formatDuration(r.seconds), r.seconds, iso(r.start), iso(r.end),
+    ].map(csvCell).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
+
+export function toJson(rows: ExportRow[]): string {
+    return JSON.stringify(
+        rows.map((r) => ({
+            id: r.id,
+            file: r.filePath,
+            line: r.line,
+            task: r.task,
+            tags: r.tags,
+            kind: r.kind,
+            state: r.state,
+            duration: formatDuration(r.seconds),
+            seconds: r.seconds,
+            start: iso(r.start),
+            end: iso(r.end),
+        })),
+        null,
+        2,
+    );
+}
+
+/** UTC basic format: 20260419T083000Z */
+function icsDate(epochSec: number): string {
+    return iso(epochSec).replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsText(value: string): string {
+    return value.replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+const encoder = new TextEncoder();
+
+/** RFC 5545 §3.1: fold content lines longer than 75 octets, continuing each with a space */
+function foldLine(line: string): string {
+    const parts: string[] = [];
+    let current = '';
+    let octets = 0;
+
+    for (const ch of line) {
+        const size = encoder.encode(ch).length;
+        // Continuation lines spend one octet on the leading space
+        const limit = parts.length === 0 ? 75 : 74;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+export function toIcs(rows: ExportRow[], stamp = Math.floor(Date.now() / 1000)): string {
+    const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Tag Timer//EN', 'CALSCALE:GREGORIAN'];
+
+    for (const r of rows) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${r.id}-${r.start}@tag-timer`,
+            `DTSTAMP:${icsDate(stamp)}`,
+            `DTSTART:${icsDate(r.start)}`,
+            `DTEND:${icsDate(r.end)}`,
+            `SUMMARY:${icsText(r.task || fileName(r.filePath))}`,
+            ...(r.tags.length > 0 ? [`CATEGORIES:${r.tags.map(icsText).join(',')}`] : []),
+            `DESCRIPTION:${icsText(`${r.filePath}:${r.line} · ${r.kind} · ${r.state} · ${formatDuration(r.seconds)}`)}`,
+            'END:VEVENT',
+        );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function rangeLabel(range: ExportRange): string {
+    if (range.from === null && range.to === null) return 'all';
+    const from = range.from !== null ? dateKey(range.from) : 'start';
+    // `to` is exclusive; label the last included day
+    const to = range.to !== null ? dateKey(range.to - 1) : 'now';
+    return from === to ? from : `${from}_${to}`;
+}
+
+async function writeFile(app: App, path: string, content: string): Promise<TFile> {
+    const existing = app.vault.getAbstractFileByPath(path);
+    if (existing instanceof TFile) {
+        await app.vault.modify(existing, content);
+        return existing;
+    }
+    return app.vault.create(path, content);
+}
+
+/** Export every session overlapping `range` to `<folder>/tag-timer-<range>.<format>` */
+export async function exportSessions(
+    app: App,
+    folder: string,
+    format: ExportFormat,
+    range: ExportRange,
+): Promise<{ file: TFile; count: number }> {
+    const rows = toRows(await collectTimers(app), range);
+    const content = format === 'csv' ? toCsv(rows) : format === 'json' ? toJson(rows) : toIcs(rows);
+
+    const dir = normalizePath(folder || '/');
+    if (dir !== '/' && !(app.vault.getAbstractFileByPath(dir) instanceof TFolder)) {
+        await app.vault.createFolder(dir);
+    }
+
+    const path = normalizePath(`${dir === '/' ? '' : `${dir}/`}tag-timer-${rangeLabel(range)}.${format}`);
+    return { file: await writeFile(app, path, content), count: rows.length };
+}
+
+export function todayRange(now = new Date()): ExportRange {
+    return { from: startOfDayEpoch(now), to: null };
+}
+
+export function weekRange(now = new Date()): ExportRange {
+    return { from: startOfWeekEpoch(now), to: null };
+}
+
+/** Markdown table of tracked time per file inside `range`, with a total row */
+export async function summaryTable(app: App, range: ExportRange): Promise<string> {
+    const byFile = new Map<string, number>();
+    for (const row of toRows(await collectTimers(app), range)) {
+        byFile.set(row.filePath, (byFile.get(row.filePath) ?? 0) + row.seconds);
+    }
+
+    const sorted = [...byFile.entries()].sort((a, b) => b[1] - a[1]);
+    const total = sorted.reduce((sum, [, seconds]) => sum + seconds, 0);
+
+    const lines = ['| File | Time |', '| --- | ---: |'];
+    for (const [path, seconds] of sorted) {
+        const file = app.vault.getAbstractFileByPath(path);
+        const link = file instanceof TFile
+            ? app.metadataCache.fileToLinktext(file, '', true)
+            : fileName(path);
+        lines.push(`| [[${link}]] | ${formatHM(seconds)} |`);
+    }
+    lines.push(`| **Total** | **${formatHM(total)}** |`);
+
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,68 @@
+import { App, Modal, Setting, Notice } from 'obsidian';
+import { ExportRange, parseDay, nextDay } from './export';
+
+export function openExportRangeModal(
+    app: App,
+    title: string,
+    onSubmit: (range: ExportRange) => void,
+): void {
+    class ExportRangeModal extends Modal {
+        private from = '';
+        private to = '';
+
+        onOpen() {
+            this.titleEl.setText(title);
+
+            new Setting(this.contentEl)
+                .setName('From')
+                .setDesc('YYYY-MM-DD. Leave blank for all sessions.')
+                .addText((text) => {
+                    text.setPlaceholder('YYYY-MM-DD');
+                    text.onChange((v) => (this.from = v));
+                });
+
+            new Setting(this.contentEl)
+                .setName('To')
+                .setDesc('YYYY-MM-DD, inclusive. Leave blank for up to now.')
+                .addText((text) => {
+                    text.setPlaceholder('YYYY-MM-DD');
+                    text.onChange((v) => (this.to = v));
+                    text.inputEl.addEventListener('keydown', (e) => {
+                        if (e.key === 'Enter') {
+                            e.preventDefault();
+                            this.submit();
+                        }
+                    });
+                });
+
+            new Setting(this.contentEl)
+                .addButton((btn) =>
+                    btn.setButtonText('Export').setCta().onClick(() => this.submit()))
+                .addButton((btn) =>
+                    btn.setButtonText('Cancel').onClick(() => this.close()));
+        }
+
+        private submit() {
+            const from = this.from.trim() ? parseDay(this.from) : null;
+            const toDay = this.to.trim() ? parseDay(this.to) : null;
+
+            if ((this.from.trim() && from === null) || (this.to.trim() && toDay === null)) {
+                new Notice('Invalid date. Use YYYY-MM-DD.');
+                return;
+            }
+
+            // Make the end date inclusive
+            const to = toDay !== null ? nextDay(toDay) : null;
+
+            if (from !== null && to !== null && from >= to) {
+                new Notice('The start date must be before the end date.');
+                return;
+            }
+
+            this.close();
+            onSubmit({ from, to });
+        }
+    }
+
+    new ExportRangeModal(app).open();
+}
@@ -0,0 +1,284 @@
+import { TimerKind, TimerState } from '../types';
+import { TimerSession, matchesFilter, splitByDay, dateKey, toSession } from './scanner';
+import { ExportRange, clipSpans, parseDay, nextDay, todayRange, weekRange } from './export';
+import { Segment } from '../ledger';
+
+export type ReportGroupBy = 'none' | 'file' | 'day' | 'tag';
+export type ReportSort = 'time' | 'name' | 'recent';
+
+/**
+ * Parsed `tag-timer` code block. One `key: value` per line:
+ *
+ *     path: Projects/        (folder, or a single note ending in .md)
+ *     tag: client-a, urgent  (any of)
+ *     state: running, paused
+ *     kind: countdown
+ *     from: 2026-10-01       (or: today, week)
+ *     to: 2026-10-31         (inclusive)
+ *     group: file | day | tag
+ *     sort: time | name | recent [asc|desc]
+ *     limit: 10
+ */
+export interface ReportQuery {
+    path: string | null;
+    tags: string[];
+    states: TimerState[];
+    kinds: TimerKind[];
+    range: ExportRange;
+    group: ReportGroupBy;
+    sort: ReportSort;
+    descending: boolean;
+    limit: number | null;
+}
+
+export interface ReportItem {
+    session: TimerSession;
+    /** Seconds inside the query range (and inside the day, for day groups) */
+    seconds: number;
+    lastActive: number;
+}
+
+export interface ReportGroup {
+    key: string;
+    items: ReportItem[];
+    seconds: number;
+}
+
+export interface ReportResult {
+    groups: ReportGroup[];
+    total: number;
+    /** Matching running timers, including any the limit hides; `advanceRunning` moves them on */
+    running: TimerSession[];
+}
+
+const STATES: TimerState[] = ['running', 'paused', 'stopped'];
+const KINDS: TimerKind[] = ['stopwatch', 'countdown', 'pomodoro'];
+const GROUPS: ReportGroupBy[] = ['none', 'file', 'day', 'tag'];
+const SORTS: ReportSort[] = ['time', 'name', 'recent'];
+
+function list(value: string): string[] {
+    return value.split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+function oneOf<T extends string>(key: string, value: string, allowed: readonly T[]): T {
+    if (!(allowed as readonly string[]).includes(value)) {
+        throw new Error(`Unknown ${key} "${value}". Use one of: ${allowed.join(', ')}.`);
+    }
+    return value as T;
+}
+
+function parseBound(key: string, value: string): number {
+    if (value === 'today') return todayRange().from!;
+    if (value === 'week') return weekRange().from!;
+    const day = parseDay(value);
+    if (day === null) throw new Error(`Invalid ${key} date "${value}". Use YYYY-MM-DD, today or week.`);
+    return day;
+}
+
+/** Throws an Error with a user-facing message on invalid input */
+export function parseQuery(source: string): ReportQuery {
+    const query: ReportQuery = {
+        path: null,
+        tags: [],
+        states: [],
+        kinds: [],
+        range: { from: null, to: null },
+        group: 'none',
+        sort: 'time',
+        descending: true,
+        limit: null,
+    };
+
+    for (const raw of source.split('\n')) {
+        const line = raw.trim();
+        if (!line || line.startsWith('//')) continue;
+
+        const colon = line.indexOf(':');
+        if (colon === -1) throw new Error(`Expected "key: value", got "${line}".`);
+
+        const key = line.slice(0, colon).trim().toLowerCase();
+        const value = line.slice(colon + 1).trim();
+
+        switch (key) {
+            case 'path':
+            case 'folder':
+                query.path = value.replace(/^\/+|\/+$/g, '') || null;
+                break;
+            case 'tag':
+            case 'tags':
+                query.tags = list(value).map((t) => t.replace(/^#/, ''));
+                break;
+            case 'state':
+                query.states = list(value).map((v) => oneOf('state', v.toLowerCase(), STATES));
+                break;
+            case 'kind':
+                query.kinds = list(value).map((v) => oneOf('kind', v.toLowerCase(), KINDS));
+                break;
+            case 'from':
+                query.range.from = parseBound('from', value.toLowerCase());
+                break;
+            case 'to':
+                query.range.to = nextDay(parseBound('to', value.toLowerCase()));
+                break;
+            case 'group':
+            case 'group-by':
+                query.group = oneOf('group', value.toLowerCase(), GROUPS);
+                break;
+            case 'sort': {
+                const [by, order] = value.toLowerCase().split(/\s+/);
+                query.sort = oneOf('sort', by, SORTS);
+                if (order) query.descending = oneOf('sort order', order, ['asc', 'desc'] as const) === 'desc';
+                break;
+            }
+            case 'limit': {
+                const n = parseInt(value, 10);
+                if (!(n > 0)) throw new Error(`Invalid limit "${value}".`);
+                query.limit = n;
+                break;
+            }
+            default:
+                throw new Error(`Unknown key "${key}".`);
+        }
+    }
+
+    return query;
+}
+
+/** Whether a change to `path` can affect the report */
+export function queryTouchesFile(query: ReportQuery, path: string): boolean {
+    if (!query.path) return true;
+    if (query.path.endsWith('.md')) return path === query.path;
+    return path.startsWith(`${query.path}/`);
+}
+
+function matchesQuery(session: TimerSession, query: ReportQuery): boolean {
+    if (query.path) {
+        if (query.path.endsWith('.md')) {
+            if (session.filePath !== query.path) return false;
+        } else if (!matchesFilter(session, { folder: query.path })) {
+            return false;
+        }
+    }
+    if (query.tags.length > 0 && !query.tags.some((tag) => matchesFilter(session, { tag }))) return false;
+    if (query.states.length > 0 && !query.states.includes(session.state)) return false;
+    if (query.kinds.length > 0 && !query.kinds.includes(session.kind)) return false;
+    return true;
+}
+
+function compare(query: ReportQuery, a: { name: string; seconds: number; lastActive: number }, b: typeof a): number {
+    const sign = query.descending ? -1 : 1;
+    if (query.sort === 'name') return sign * a.name.localeCompare(b.name);
+    if (query.sort === 'recent') return sign * (a.lastActive - b.lastActive);
+    return sign * (a.seconds - b.seconds);
+}
+
+function itemName(item: ReportItem): string {
+    return item.session.context.task || item.session.filePath;
+}
+
+function spanSeconds(spans: Segment[]): number {
+    return spans.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+function secondsByDay(spans: Segment[]): Map<string, number> {
+    const byDay = new Map<string, number>();
+    for (const [start, end] of spans) {
+        for (const [dayStart, s] of splitByDay(start, end)) {
+            const key = dateKey(dayStart);
+            byDay.set(key, (byDay.get(key) ?? 0) + s);
+        }
+    }
+    return byDay;
+}
+
+export function runQuery(sessions: TimerSession[], query: ReportQuery): ReportResult {
+    const groups = new Map<string, ReportGroup>();
+    let total = 0;
+    const running: TimerSession[] = [];
+
+    const add = (key: string, item: ReportItem) => {
+        let group = groups.get(key);
+        if (!group) {
+            group = { key, items: [], seconds: 0 };
+            groups.set(key, group);
+        }
+        group.items.push(item);
+        group.seconds += item.seconds;
+    };
+
+    for (const session of sessions) {
+        if (!matchesQuery(session, query)) continue;
+
+        const spans = clipSpans(session.spans, query.range);
+        // Keep untimed timers (e.g. fresh, paused at zero) visible when no range is set
+        if (spans.length === 0 && (query.range.from !== null || query.range.to !== null)) continue;
+
+        const seconds = spanSeconds(spans);
+        const lastActive = spans.reduce((max, [, end]) => Math.max(max, end), session.startedAt);
+        if (session.state === 'running') running.push(session);
+        total += seconds;
+
+        if (query.group === 'day') {
+            secondsByDay(spans).forEach((s, day) => add(day, { session, seconds: s, lastActive }));
+        } else if (query.group === 'tag') {
+            const tags = session.context.tags.length > 0 ? session.context.tags : [''];
+            tags.forEach((tag) => add(tag, { session, seconds, lastActive }));
+        } else {
+            add(query.group === 'file' ? session.filePath : '', { session, seconds, lastActive });
+        }
+    }
+
+    const sortItems = (items: ReportItem[]) =>
+        items.sort((a, b) => compare(
+            query,
+            { name: itemName(a), seconds: a.seconds, lastActive: a.lastActive },
+            { name: itemName(b), seconds: b.seconds, lastActive: b.lastActive },
+        ));
+
+    const sorted = [...groups.values()];
+    sorted.forEach((g) => sortItems(g.items));
+    sorted.sort((a, b) => compare(
+        query,
+        { name: a.key, seconds: a.seconds, lastActive: Math.max(...a.items.map((i) => i.lastActive)) },
+        { name: b.key, seconds: b.seconds, lastActive: Math.max(...b.items.map((i) => i.lastActive)) },
+    ));
+
+    if (query.limit !== null) {
+        if (query.group === 'none') {
+            sorted.forEach((g) => (g.items = g.items.slice(0, query.limit!)));
+        } else {
+            sorted.splice(query.limit);
+        }
+    }
+
+    return { groups: sorted, total, running };
+}
+
+/**
+ * Bring the running timers of `result` up to `now` in place: their item, group and
+ * total seconds. Rows are not added, removed or re-sorted; that waits for the next `runQuery`.
+ */
+export function advanceRunning(result: ReportResult, query: ReportQuery, now: number): void {
+    const advanced = new Map<TimerSession, TimerSession>();
+
+    result.running = result.running.map((before) => {
+        const session = toSession(before, now);
+        advanced.set(before, session);
+        result.total += spanSeconds(clipSpans(session.spans, query.range)) -
+            spanSeconds(clipSpans(before.spans, query.range));
+        return session;
+    });
+
+    for (const group of result.groups) {
+        for (const item of group.items) {
+            const session = advanced.get(item.session);
+            if (!session) continue;
+
+            const spans = clipSpans(session.spans, query.range);
+            const seconds = query.group === 'day' ? secondsByDay(spans).get(group.key) ?? 0 : spanSeconds(spans);
+            group.seconds += seconds - item.seconds;
+            item.session = session;
+            item.seconds = seconds;
+        }
+    }
+}
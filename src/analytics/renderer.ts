@@ -12,7 +12,7 @@ function timeAgo(epochSec: number): string {
     return `${Math.floor(diff / 86400)}d ago`;
 }
 
-function fileName(path: string): string {
+export function fileName(path: string): string {
     const parts = path.split('/');
     const name = parts[parts.length - 1];
     return name.replace(/\.md$/, '');
@@ -47,7 +47,7 @@ function getWeekDays(): { key: string; label: string; isToday: boolean }[] {
     return days;
 }
 
-function formatHM(seconds: number): string {
+export function formatHM(seconds: number): string {
     if (seconds === 0) return '—';
     const h = Math.floor(seconds / 3600);
     const m = Math.floor((seconds % 3600) / 60);
@@ -67,6 +67,46 @@ function createStatRow(parent: HTMLElement, label: string, value: string, cls?:
     row.createSpan({ cls: `ta-stat-value ${cls ?? ''}`.trim(), text: value });
 }
 
+/** Open a note scrolled to a 0-based line */
+export function openAtLine(app: App, path: string, line: number): void {
+    void app.workspace.openLinkText(path, '', false, { eState: { line } });
+}
+
+function renderBreakdown(
+    container: HTMLElement,
+    title: string,
+    totals: Map<string, number>,
+    label: (key: string) => string,
+    onClick?: (key: string) => void,
+): void {
+    const sorted = [...totals.entries()]
+        .filter(([, seconds]) => seconds > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 10);
+
+    if (sorted.length === 0) return;
+
+    const section = createSection(container, title);
+    const maxTime = sorted[0][1];
+
+    for (const [key, seconds] of sorted) {
+        const row = section.createDiv({ cls: 'ta-file-row' });
+        if (onClick) {
+            row.addEventListener('click', () => onClick(key));
+        } else {
+            row.addClass('ta-static');
+        }
+
+        const info = row.createDiv({ cls: 'ta-file-info' });
+        info.createSpan({ cls: 'ta-file-name', text: label(key) });
+        info.createSpan({ cls: 'ta-file-time', text: formatHM(seconds) });
+
+        const barTrack = row.createDiv({ cls: 'ta-bar-track' });
+        const bar = barTrack.createDiv({ cls: 'ta-bar' });
+        bar.style.width = `${Math.max(4, (seconds / maxTime) * 100)}%`;
+    }
+}
+
 export function renderAnalytics(container: HTMLElement, data: VaultAnalytics, app: App): void {
     container.empty();
     container.addClass('timer-analytics-root');
@@ -88,7 +128,19 @@ export function renderAnalytics(container: HTMLElement, data: VaultAnalytics, ap
     createStatRow(summary, 'Sessions', String(data.totalSessions));
 
     if (data.completedCountdowns > 0) {
-        createStatRow(summary, 'Completed 🍅', String(data.completedCountdowns));
+        createStatRow(summary, 'Countdowns done', String(data.completedCountdowns));
+    }
+
+    if (data.completedCycles > 0) {
+        createStatRow(summary, 'Pomodoro cycles 🍅', String(data.completedCycles));
+    }
+
+    if (data.breakTotal > 0) {
+        createStatRow(summary, 'Break time ☕', formatHM(data.breakTotal));
+    }
+
+    if (data.overtimeTotal > 0) {
+        createStatRow(summary, 'Overtime ⌛', formatHM(data.overtimeTotal));
     }
 
     if (data.activeTimers > 0) {
@@ -99,31 +151,25 @@ export function renderAnalytics(container: HTMLElement, data: VaultAnalytics, ap
         createStatRow(summary, 'Streak', `${data.streak} day${data.streak > 1 ? 's' : ''} 🔥`);
     }
 
-    // ── By File (top 10) ──
-    if (data.byFile.size > 0) {
-        const fileSection = createSection(container, 'By File');
-
-        const sorted = [...data.byFile.entries()]
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 10);
-
-        const maxTime = sorted[0]?.[1] ?? 1;
-
-        for (const [path, seconds] of sorted) {
-            const row = fileSection.createDiv({ cls: 'ta-file-row' });
-            row.addEventListener('click', () => {
-                app.workspace.openLinkText(path, '');
-            });
-
-            const info = row.createDiv({ cls: 'ta-file-info' });
-            info.createSpan({ cls: 'ta-file-name', text: `📄 ${fileName(path)}` });
-            info.createSpan({ cls: 'ta-file-time', text: formatHM(seconds) });
-
-            const barTrack = row.createDiv({ cls: 'ta-bar-track' });
-            const bar = barTrack.createDiv({ cls: 'ta-bar' });
-            bar.style.width = `${Math.max(4, (seconds / maxTime) * 100)}%`;
-        }
-    }
+    // ── Breakdowns (top 10 each) ──
+    renderBreakdown(container, 'By File', data.byFile, (path) => `📄 ${fileName(path)}`,
+        (path) => void app.workspace.openLinkText(path, ''));
+
+    renderBreakdown(container, 'By Project', data.byProject, (p) => `📁 ${p}`);
+    renderBreakdown(container, 'By Folder', data.byFolder, (f) => `🗂️ ${f}`);
+    renderBreakdown(container, 'By Tag', data.byTag, (t) => `#${t}`);
+
+    const taskSeconds = new Map([...data.byTask].map(([key, t]) => [key, t.seconds]));
+    const taskCounts = new Map<string, number>();
+    data.byTask.forEach((t) => taskCounts.set(t.task, (taskCounts.get(t.task) ?? 0) + 1));
+    renderBreakdown(container, 'By Task', taskSeconds, (key) => {
+        const t = data.byTask.get(key)!;
+        // Name the note when the same task text appears in several places
+        return (taskCounts.get(t.task) ?? 0) > 1 ? `☑️ ${t.task} · ${fileName(t.filePath)}` : `☑️ ${t.task}`;
+    }, (key) => {
+        const t = data.byTask.get(key);
+        if (t) openAtLine(app, t.filePath, t.line);
+    });
 
     // ── Weekly Trend ──
     const weekSection = createSection(container, 'Weekly Trend');
@@ -157,13 +203,11 @@ export function renderAnalytics(container: HTMLElement, data: VaultAnalytics, ap
 
         for (const s of data.recentSessions) {
             const row = recentSection.createDiv({ cls: 'ta-recent-row' });
-            row.addEventListener('click', () => {
-                app.workspace.openLinkText(s.filePath, '');
-            });
+            row.addEventListener('click', () => openAtLine(app, s.filePath, s.line));
 
-            const icon = s.kind === 'countdown' ? '🍅' : '⏹️';
+            const icon = s.kind === 'pomodoro' ? '🍅' : s.kind === 'countdown' ? '⏲️' : '⏹️';
             row.createSpan({ cls: 'ta-recent-icon', text: icon });
-            row.createSpan({ cls: 'ta-recent-duration', text: formatDuration(s.effective) });
+            row.createSpan({ cls: 'ta-recent-duration', text: formatDuration(s.tracked) });
             row.createSpan({ cls: 'ta-recent-file', text: fileName(s.filePath) });
             row.createSpan({ cls: 'ta-recent-ago', text: timeAgo(s.startedAt) });
         }
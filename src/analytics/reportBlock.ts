@@ -0,0 +1,184 @@
+import { App, MarkdownRenderChild } from 'obsidian';
+import { collectTimers } from './scanner';
+import { ReportQuery, ReportResult, advanceRunning, parseQuery, queryTouchesFile, runQuery } from './query';
+import { fileName, openAtLine } from './renderer';
+import { formatDuration, nowSec, renderDisplay } from '../timer';
+import { getTimerIndex } from '../timerIndex';
+
+export const REPORT_BLOCK_LANGUAGE = 'tag-timer';
+
+const RESCAN_DELAY_MS = 500;
+
+/** Group row by key, item row by group key + timer id, total row by null */
+function rowKey(group: string | null, id?: string): string {
+    if (group === null) return 'total';
+    return id === undefined ? `group:${group}` : `item:${group}:${id}`;
+}
+
+/** Live `tag-timer` report block; works in Reading view and Live Preview */
+export class TimerReportChild extends MarkdownRenderChild {
+    private query: ReportQuery | null = null;
+    /** Result of the last scan; ticks only advance its running timers */
+    private result: ReportResult | null = null;
+    private interval: number | null = null;
+    private rescanHandle: number | null = null;
+    /** Live cells of the rendered table, keyed by row (see rowKey), updated in place each tick */
+    private timeCells = new Map<string, HTMLElement>();
+    private badgeCells = new Map<string, HTMLElement>();
+
+    constructor(
+        containerEl: HTMLElement,
+        private source: string,
+        private app: App,
+    ) {
+        super(containerEl);
+    }
+
+    onload() {
+        try {
+            this.query = parseQuery(this.source);
+        } catch (error) {
+            this.renderError((error as Error).message);
+            return;
+        }
+
+        const index = getTimerIndex();
+        if (index) {
+            this.registerEvent(index.on('changed', (path) => {
+                if (this.query && queryTouchesFile(this.query, path)) this.scheduleRescan();
+            }));
+        }
+
+        void this.rescan();
+    }
+
+    onunload() {
+        this.stopTicking();
+        if (this.rescanHandle !== null) {
+            window.clearTimeout(this.rescanHandle);
+            this.rescanHandle = null;
+        }
+    }
+
+    private scheduleRescan() {
+        if (this.rescanHandle !== null) return;
+        this.rescanHandle = window.setTimeout(() => {
+            this.rescanHandle = null;
+            void this.rescan();
+        }, RESCAN_DELAY_MS);
+    }
+
+    private async rescan() {
+        if (!this.query) return;
+        this.result = runQuery(await collectTimers(this.app), this.query);
+        this.render();
+    }
+
+    /**
+     * Advance running timers without rescanning the vault or rebuilding the table, so
+     * clicks, hover and selection survive. Rows only appear, vanish or reorder on an index change.
+     */
+    private tick() {
+        const result = this.result;
+        if (!this.query || !result) return;
+        advanceRunning(result, this.query, nowSec());
+
+        for (const group of result.groups) {
+            this.timeCells.get(rowKey(group.key))?.setText(formatDuration(group.seconds));
+            for (const item of group.items) {
+                const key = rowKey(group.key, item.session.id);
+                this.timeCells.get(key)?.setText(formatDuration(item.seconds));
+                this.badgeCells.get(key)?.setText(renderDisplay(item.session));
+            }
+        }
+        this.timeCells.get(rowKey(null))?.setText(formatDuration(result.total));
+    }
+
+    private syncTicking(result: ReportResult) {
+        if (result.running.length > 0) {
+            if (this.interval === null) {
+                this.interval = window.setInterval(() => this.tick(), 1000);
+            }
+        } else {
+            this.stopTicking();
+        }
+    }
+
+    private stopTicking() {
+        if (this.interval !== null) {
+            window.clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    private render() {
+        const result = this.result;
+        if (!this.query || !result) return;
+        this.syncTicking(result);
+
+        const root = this.containerEl;
+        root.empty();
+        this.timeCells.clear();
+        this.badgeCells.clear();
+        root.addClass('tt-report');
+
+        if (result.groups.length === 0) {
+            root.createDiv({ cls: 'tt-report-empty', text: 'No matching timers.' });
+            return;
+        }
+
+        const table = root.createEl('table');
+        const grouped = this.query.group !== 'none';
+        const head = table.createEl('thead').createEl('tr');
+        head.createEl('th', { text: grouped ? this.groupTitle() : 'Timer' });
+        head.createEl('th', { text: 'Note' });
+        head.createEl('th', { text: 'Time', cls: 'tt-report-time' });
+
+        const body = table.createEl('tbody');
+
+        for (const group of result.groups) {
+            if (grouped) {
+                const row = body.createEl('tr', { cls: 'tt-report-group' });
+                row.createEl('td', { text: this.groupLabel(group.key), attr: { colspan: '2' } });
+                this.timeCells.set(
+                    rowKey(group.key),
+                    row.createEl('td', { text: formatDuration(group.seconds), cls: 'tt-report-time' }),
+                );
+            }
+
+            for (const item of group.items) {
+                const s = item.session;
+                const row = body.createEl('tr', { cls: `tt-report-item timer-${s.state}` });
+                row.addEventListener('click', () => openAtLine(this.app, s.filePath, s.line));
+
+                const key = rowKey(group.key, s.id);
+                const label = row.createEl('td');
+                this.badgeCells.set(key, label.createSpan({ cls: 'tt-report-badge', text: renderDisplay(s) }));
+                label.createSpan({ text: ` ${s.context.task || fileName(s.filePath)}` });
+                row.createEl('td', { text: fileName(s.filePath), cls: 'tt-report-file' });
+                this.timeCells.set(key, row.createEl('td', { text: formatDuration(item.seconds), cls: 'tt-report-time' }));
+            }
+        }
+
+        const foot = table.createEl('tfoot').createEl('tr');
+        foot.createEl('td', { text: 'Total', attr: { colspan: '2' } });
+        this.timeCells.set(rowKey(null), foot.createEl('td', { text: formatDuration(result.total), cls: 'tt-report-time' }));
+    }
+
+    private groupTitle(): string {
+        const group = this.query?.group;
+        return group === 'file' ? 'Note' : group === 'day' ? 'Day' : 'Tag';
+    }
+
+    private groupLabel(key: string): string {
+        const group = this.query?.group;
+        if (group === 'file') return fileName(key);
+        if (group === 'tag') return key ? `#${key}` : '(untagged)';
+        return key;
+    }
+
+    private renderError(message: string) {
+        this.containerEl.empty();
+        this.containerEl.createDiv({ cls: 'tt-report-error', text: `tag-timer: ${message}` });
+    }
+}
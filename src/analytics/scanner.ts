@@ -1,18 +1,34 @@
-import { App } from 'obsidian';
-import { TimerData, TimerKind, TimerState } from '../types';
-import { timerRegex, extractTimerData } from '../editor';
-import { currentElapsed } from '../timer';
-
-export interface TimerSession {
-    id: string;
-    kind: TimerKind;
-    state: TimerState;
-    elapsed: number;
-    /** Clamped: min(elapsed, duration) for countdowns, else elapsed */
+import { App, TFile } from 'obsidian';
+import { currentElapsed, runEnd, isBreak } from '../timer';
+import { Segment, getSegments, breakKey, loggedSinceRestart } from '../ledger';
+import { IndexedTimer, getTimerIndex, parseFileTimers } from '../timerIndex';
+
+export interface TimerSession extends IndexedTimer {
+    /** Clamped: min(elapsed, duration) for countdowns (unless in overtime), else elapsed */
     effective: number;
-    startedAt: number;
-    duration: number;
+    /** Seconds an overtime countdown ran past zero */
+    overrun: number;
+    /** Recorded run segments, including the live run of a running timer */
+    segments: Segment[];
+    /** Pomodoro break segments, including a live break */
+    breaks: Segment[];
+    /** Work spans used for day attribution: segments plus any time the ledger never saw */
+    spans: Segment[];
+    /** All time this timer has run, including runs wiped by restarting a stopped timer */
+    tracked: number;
+}
+
+export interface AnalyticsFilter {
+    tag?: string;
+    folder?: string;
+    project?: string;
+}
+
+export interface TaskTotal {
+    task: string;
+    seconds: number;
     filePath: string;
+    line: number;
 }
 
 export interface VaultAnalytics {
@@ -21,21 +37,40 @@ export interface VaultAnalytics {
     weekTotal: number;
     totalSessions: number;
     completedCountdowns: number;
+    /** Pomodoro cycles that ran through their long break */
+    completedCycles: number;
+    /** Pomodoro break time; kept out of the work totals below */
+    breakTotal: number;
+    /** Time countdowns ran past zero in overtime */
+    overtimeTotal: number;
     activeTimers: number;
     streak: number;
     longestSession: number;
     byFile: Map<string, number>;
     byDay: Map<string, number>;
+    byTag: Map<string, number>;
+    byFolder: Map<string, number>;
+    byProject: Map<string, number>;
+    /** Keyed by `<filePath>:<line>`, so identical task text in different notes stays apart */
+    byTask: Map<string, TaskTotal>;
     recentSessions: TimerSession[];
 }
 
-function startOfDayEpoch(date: Date): number {
+function sumSpans(spans: Segment[]): number {
+    return spans.reduce((sum, [start, end]) => sum + (end - start), 0);
+}
+
+function addTo(map: Map<string, number>, key: string, seconds: number): void {
+    map.set(key, (map.get(key) ?? 0) + seconds);
+}
+
+export function startOfDayEpoch(date: Date): number {
     const d = new Date(date);
     d.setHours(0, 0, 0, 0);
     return Math.floor(d.getTime() / 1000);
 }
 
-function startOfWeekEpoch(date: Date): number {
+export function startOfWeekEpoch(date: Date): number {
     const d = new Date(date);
     const day = d.getDay();
     // Monday = start of week
@@ -45,7 +80,7 @@ function startOfWeekEpoch(date: Date): number {
     return Math.floor(d.getTime() / 1000);
 }
 
-function dateKey(epochSec: number): string {
+export function dateKey(epochSec: number): string {
     const d = new Date(epochSec * 1000);
     const y = d.getFullYear();
     const m = String(d.getMonth() + 1).padStart(2, '0');
@@ -53,6 +88,23 @@ function dateKey(epochSec: number): string {
     return `${y}-${m}-${day}`;
 }
 
+/** Split [start, end) at local midnights into [dayStartEpoch, seconds] pieces */
+export function splitByDay(start: number, end: number): [number, number][] {
+    const pieces: [number, number][] = [];
+    let cursor = start;
+
+    while (cursor < end) {
+        const dayStart = startOfDayEpoch(new Date(cursor * 1000));
+        const next = new Date(dayStart * 1000);
+        next.setDate(next.getDate() + 1);
+        const pieceEnd = Math.min(end, Math.floor(next.getTime() / 1000));
+        pieces.push([dayStart, pieceEnd - cursor]);
+        cursor = pieceEnd;
+    }
+
+    return pieces;
+}
+
 function computeStreak(byDay: Map<string, number>): number {
     if (byDay.size === 0) return 0;
 
@@ -77,8 +129,78 @@ function computeStreak(byDay: Map<string, number>): number {
     return streak;
 }
 
-export async function scanVault(app: App): Promise<VaultAnalytics> {
-    const now = new Date();
+/** Attach ledger segments and the live run to an indexed timer */
+export function toSession(timer: IndexedTimer, nowSec: number): TimerSession {
+    const isRunning = timer.state === 'running';
+    const onBreak = isBreak(timer);
+    // A pomodoro on a break has no work time in its current phase
+    const eff = onBreak ? 0 : currentElapsed(timer, nowSec);
+
+    const segments = [...getSegments(timer.id)];
+    const breaks = [...getSegments(breakKey(timer.id))];
+    if (isRunning && runEnd(timer, nowSec) > timer.startedAt) {
+        (onBreak ? breaks : segments).push([timer.startedAt, runEnd(timer, nowSec)]);
+    }
+
+    // Time the ledger never saw (older timers, manual edits) is placed just before the first logged run
+    const live = isRunning && !onBreak ? Math.max(0, runEnd(timer, nowSec) - timer.startedAt) : 0;
+    const residual = Math.max(0, eff - loggedSinceRestart(timer.id) - live);
+    const firstStart = segments.reduce((min, [start]) => Math.min(min, start), timer.startedAt);
+    const spans: Segment[] = residual > 0
+        ? [[firstStart - residual, firstStart], ...segments]
+        : segments;
+
+    return {
+        ...timer,
+        effective: eff,
+        overrun: timer.overtime ? Math.max(0, eff - timer.duration) : 0,
+        segments,
+        breaks,
+        spans,
+        tracked: sumSpans(spans),
+    };
+}
+
+/** Every timer in one file, from the index when it is available */
+async function collectFile(app: App, file: TFile, now = new Date()): Promise<TimerSession[]> {
+    const nowSec = Math.floor(now.getTime() / 1000);
+    const index = getTimerIndex();
+    const timers = index
+        ? index.get(file.path)
+        : parseFileTimers(app, file, await app.vault.cachedRead(file));
+    return timers.map((t) => toSession(t, nowSec));
+}
+
+/** Every timer in the vault. Served from the index; reads the vault only before it is built. Aggregate with `aggregateSessions`. */
+export async function collectTimers(app: App, now = new Date()): Promise<TimerSession[]> {
+    const nowSec = Math.floor(now.getTime() / 1000);
+    const index = getTimerIndex();
+    if (index) return index.all().map((t) => toSession(t, nowSec));
+
+    const timers: TimerSession[] = [];
+    for (const file of app.vault.getMarkdownFiles()) {
+        timers.push(...await collectFile(app, file, now));
+    }
+    return timers;
+}
+
+export function matchesFilter(session: TimerSession, filter: AnalyticsFilter): boolean {
+    const { tag, folder, project } = filter;
+    if (tag && !session.context.tags.includes(tag)) return false;
+    // '/' is the vault root itself: notes directly in it, not the whole vault
+    if (folder === '/' && session.context.folder !== '/') return false;
+    if (folder && folder !== '/' && session.context.folder !== folder && !session.context.folder.startsWith(`${folder}/`)) {
+        return false;
+    }
+    if (project && !session.context.projects.includes(project)) return false;
+    return true;
+}
+
+export function aggregateSessions(
+    timers: TimerSession[],
+    filter: AnalyticsFilter = {},
+    now = new Date(),
+): VaultAnalytics {
     const todayStart = startOfDayEpoch(now);
     const weekStart = startOfWeekEpoch(now);
 
@@ -87,69 +209,75 @@ export async function scanVault(app: App): Promise<VaultAnalytics> {
     let weekTotal = 0;
     let totalSessions = 0;
     let completedCountdowns = 0;
+    let completedCycles = 0;
+    let breakTotal = 0;
+    let overtimeTotal = 0;
     let activeTimers = 0;
     let longestSession = 0;
     const byFile = new Map<string, number>();
     const byDay = new Map<string, number>();
+    const byTag = new Map<string, number>();
+    const byFolder = new Map<string, number>();
+    const byProject = new Map<string, number>();
+    const byTask = new Map<string, TaskTotal>();
 
-    const files = app.vault.getMarkdownFiles();
+    for (const session of timers) {
+        if (!matchesFilter(session, filter)) continue;
 
-    for (const file of files) {
-        const content = await app.vault.cachedRead(file);
-        if (!content.includes('⏳[')) continue;
+        const isRunning = session.state === 'running';
+        const isPaused = session.state === 'paused';
+        const eff = session.effective;
 
-        const re = timerRegex();
-        let m: RegExpExecArray | null;
+        if (isRunning) activeTimers++;
+        breakTotal += sumSpans(session.breaks);
+        overtimeTotal += session.overrun;
 
-        while ((m = re.exec(content)) !== null) {
-            const data = extractTimerData(m);
-            const isRunning = data.state === 'running';
-            const isPaused = data.state === 'paused';
+        // Only completed sessions populate the recent list
+        if (!isRunning && !isPaused) {
+            sessions.push(session);
+            totalSessions++;
 
-            if (isRunning) activeTimers++;
+            if (eff > longestSession) longestSession = eff;
 
-            const nowSec = Math.floor(now.getTime() / 1000);
-            const eff = currentElapsed(data, nowSec);
-            
-            const session: TimerSession = {
-                ...data,
-                effective: eff,
-                filePath: file.path,
-            };
-
-            // Only completed sessions populate the recent list
-            if (!isRunning && !isPaused) {
-                sessions.push(session);
-                totalSessions++;
-
-                if (eff > longestSession) longestSession = eff;
-
-                if (data.kind === 'countdown' && eff >= data.duration && data.duration > 0) {
-                    completedCountdowns++;
-                }
+            if (session.kind === 'countdown' && eff >= session.duration && session.duration > 0) {
+                completedCountdowns++;
             }
 
-            // All timers contribute their elapsed time to today's totals
-            byFile.set(file.path, (byFile.get(file.path) ?? 0) + eff);
+            const p = session.pomodoro;
+            if (p && p.phase === 'long' && p.round === p.rounds && session.elapsed >= session.duration) {
+                completedCycles++;
+            }
+        }
 
-            // For running timers, attribute their live effective time to today. For paused/stopped, use their last state change timestamp.
-            const timestamp = isRunning ? nowSec : data.startedAt;
-            
-            const dk = dateKey(timestamp);
-            byDay.set(dk, (byDay.get(dk) ?? 0) + eff);
+        const { tracked, context } = session;
+        addTo(byFile, session.filePath, tracked);
+        addTo(byFolder, context.folder, tracked);
+        context.tags.forEach((tag) => addTo(byTag, tag, tracked));
+        context.projects.forEach((project) => addTo(byProject, project, tracked));
 
-            if (timestamp >= todayStart) {
-                todayTotal += eff;
+        if (context.task) {
+            const key = `${session.filePath}:${session.line}`;
+            const task = byTask.get(key);
+            if (task) {
+                task.seconds += tracked;
+            } else {
+                byTask.set(key, { task: context.task, seconds: tracked, filePath: session.filePath, line: session.line });
             }
+        }
+
+        // Attribute every span to the calendar day(s) it actually covered
+        for (const [start, end] of session.spans) {
+            for (const [dayStart, seconds] of splitByDay(start, end)) {
+                addTo(byDay, dateKey(dayStart), seconds);
 
-            if (timestamp >= weekStart) {
-                weekTotal += eff;
+                if (dayStart >= todayStart) todayTotal += seconds;
+                if (dayStart >= weekStart) weekTotal += seconds;
             }
         }
     }
 
     // Sort recent sessions by startedAt desc, take last 10
-    const recentSessions = sessions
+    const recentSessions = [...sessions]
         .sort((a, b) => b.startedAt - a.startedAt)
         .slice(0, 10);
 
@@ -161,11 +289,23 @@ export async function scanVault(app: App): Promise<VaultAnalytics> {
         weekTotal,
         totalSessions,
         completedCountdowns,
+        completedCycles,
+        breakTotal,
+        overtimeTotal,
         activeTimers,
         streak,
         longestSession,
         byFile,
         byDay,
+        byTag,
+        byFolder,
+        byProject,
+        byTask,
         recentSessions,
     };
 }
+
+export async function scanVault(app: App, filter: AnalyticsFilter = {}): Promise<VaultAnalytics> {
+    const now = new Date();
+    return aggregateSessions(await collectTimers(app, now), filter, now);
+}
@@ -1,11 +1,18 @@
 import { ItemView, WorkspaceLeaf, setIcon } from 'obsidian';
-import { scanVault } from './scanner';
+import { collectTimers, aggregateSessions, AnalyticsFilter, TimerSession } from './scanner';
 import { renderAnalytics } from './renderer';
+import { getTimerIndex } from '../timerIndex';
+
+const REFRESH_DELAY_MS = 1000;
 
 export const ANALYTICS_VIEW_TYPE = 'tag-timer-analytics';
 
 export class AnalyticsView extends ItemView {
     private scanning = false;
+    private timers: TimerSession[] = [];
+    private filter: AnalyticsFilter = {};
+    private bodyEl: HTMLElement | null = null;
+    private refreshHandle: number | null = null;
 
     constructor(leaf: WorkspaceLeaf) {
         super(leaf);
@@ -24,13 +31,29 @@ export class AnalyticsView extends ItemView {
     }
 
     async onOpen(): Promise<void> {
+        // Timer edits anywhere in the vault update the view; the index makes this a cheap in-memory rescan
+        const index = getTimerIndex();
+        if (index) this.registerEvent(index.on('changed', () => this.scheduleRefresh()));
+
         await this.refresh();
     }
 
     async onClose(): Promise<void> {
+        if (this.refreshHandle !== null) {
+            window.clearTimeout(this.refreshHandle);
+            this.refreshHandle = null;
+        }
         this.contentEl.empty();
     }
 
+    private scheduleRefresh(): void {
+        if (this.refreshHandle !== null) return;
+        this.refreshHandle = window.setTimeout(() => {
+            this.refreshHandle = null;
+            void this.refresh();
+        }, REFRESH_DELAY_MS);
+    }
+
     async refresh(): Promise<void> {
         if (this.scanning) return;
         this.scanning = true;
@@ -54,12 +77,61 @@ export class AnalyticsView extends ItemView {
             const ts = now.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
             header.createSpan({ cls: 'ta-timestamp', text: `Scanned ${ts}` });
 
+            this.timers = await collectTimers(this.app);
+            this.renderFilterBar(container.createDiv({ cls: 'ta-filter-bar' }));
+
             // Body
-            const body = container.createDiv({ cls: 'ta-body' });
-            const data = await scanVault(this.app);
-            renderAnalytics(body, data, this.app);
+            this.bodyEl = container.createDiv({ cls: 'ta-body' });
+            this.renderBody();
         } finally {
             this.scanning = false;
         }
     }
+
+    /** Re-aggregate the last scan under the current filter; no vault read */
+    private renderBody(): void {
+        if (!this.bodyEl) return;
+        renderAnalytics(this.bodyEl, aggregateSessions(this.timers, this.filter), this.app);
+    }
+
+    private renderFilterBar(bar: HTMLElement): void {
+        const tags = new Set<string>();
+        const folders = new Set<string>();
+        const projects = new Set<string>();
+
+        for (const t of this.timers) {
+            t.context.tags.forEach((tag) => tags.add(tag));
+            t.context.projects.forEach((project) => projects.add(project));
+            folders.add(t.context.folder);
+        }
+
+        this.addFilterSelect(bar, 'tag', 'All tags', [...tags].sort(), (v) => `#${v}`);
+        this.addFilterSelect(bar, 'folder', 'All folders', [...folders].sort(), (v) => (v === '/' ? 'Vault root' : v));
+        this.addFilterSelect(bar, 'project', 'All projects', [...projects].sort(), (v) => v);
+    }
+
+    private addFilterSelect(
+        bar: HTMLElement,
+        key: keyof AnalyticsFilter,
+        allLabel: string,
+        values: string[],
+        label: (value: string) => string,
+    ): void {
+        // Keep a stale selection visible so it can be cleared
+        const current = this.filter[key];
+        if (current && !values.includes(current)) values.unshift(current);
+        if (values.length === 0) return;
+
+        const select = bar.createEl('select', { cls: 'dropdown ta-filter' });
+        select.createEl('option', { value: '', text: allLabel });
+        for (const value of values) {
+            select.createEl('option', { value, text: label(value) });
+        }
+        select.value = current ?? '';
+
+        select.addEventListener('change', () => {
+            this.filter = { ...this.filter, [key]: select.value || undefined };
+            this.renderBody();
+        });
+    }
 }
@@ -3,6 +3,8 @@ import { TimerData, TimerKind, TimerSettings } from './types';
 import { generateId, nowSec, pauseData, resumeData, stopData, resetData } from './timer';
 import { parse, render, insertTimer, replaceTimer, removeTimer } from './editor';
 import { openTimeModal } from './timeModal';
+import { newPomodoroState } from './pomodoro';
+import { enforceExclusiveFocus } from './controller';
 
 export function handleCommand(
     app: App,
@@ -40,7 +42,13 @@ export function handleCommand(
             duration: createKind === 'countdown' ? defaultCountdown : 0,
         };
 
+        if (createKind === 'pomodoro') {
+            data.pomodoro = newPomodoroState(settings);
+            data.duration = data.pomodoro.work;
+        }
+
         insertTimer(editor, line, render(data), settings.insertPosition);
+        void enforceExclusiveFocus(app, settings, null, data);
         return;
     }
 
@@ -75,4 +83,5 @@ export function handleCommand(
     }
 
     replaceTimer(editor, line, render(next), parsed.start, parsed.end);
+    void enforceExclusiveFocus(app, settings, parsed, next);
 }
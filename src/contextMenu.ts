@@ -4,6 +4,7 @@ import { parse, render, removeTimer, replaceTimer } from './editor';
 import { addTimerMenuItems } from './menu';
 import { openTimeModal } from './timeModal';
 import { handleCommand } from './commands';
+import { enforceExclusiveFocus } from './controller';
 
 export function buildContextMenu(
     app: App,
@@ -32,6 +33,14 @@ export function buildContextMenu(
                 ),
         );
 
+        menu.addItem((item) =>
+            item.setTitle('Start pomodoro')
+                .setIcon('repeat')
+                .onClick(() =>
+                    handleCommand(app, settings, editor, view, 'toggle', 'pomodoro'),
+                ),
+        );
+
         return;
     }
 
@@ -40,6 +49,7 @@ export function buildContextMenu(
             const fresh = parse(editor.getLine(line));
             if (!fresh || fresh.id !== parsed.id) return;
             replaceTimer(editor, line, render(next), fresh.start, fresh.end);
+            void enforceExclusiveFocus(app, settings, fresh, next);
         },
         changeTime: () => {
             openTimeModal(app, parsed, (next) => {
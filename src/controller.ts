@@ -1,5 +1,7 @@
 import { App, TFile, Notice } from 'obsidian';
-import { TimerData } from './types';
+import { TimerData, TimerSettings } from './types';
+import { pauseOtherRunningTimers } from './recovery';
+import { taskText } from './timerIndex';
 import { timerRegex, extractTimerData, render, computeRemovalRange } from './editor';
 import { TIMER_MUTATED_EVENT } from './timer';
 
@@ -53,3 +55,26 @@ export async function mutateTimerInFile(
     window.dispatchEvent(new CustomEvent(TIMER_MUTATED_EVENT));
     return nextData;
 }
+
+/**
+ * Exclusive focus mode: once a timer goes from not running to running,
+ * pause every other running timer in the vault and name them in a notice.
+ */
+export async function enforceExclusiveFocus(
+    app: App,
+    settings: TimerSettings,
+    prev: TimerData | null,
+    next: TimerData | null,
+): Promise<void> {
+    if (!settings.exclusiveRunning) return;
+    if (!next || next.state !== 'running' || prev?.state === 'running') return;
+
+    const paused = (await pauseOtherRunningTimers(app, next.id))
+        .map((line) => taskText(line) || 'untitled timer');
+    if (paused.length === 0) return;
+
+    window.dispatchEvent(new CustomEvent(TIMER_MUTATED_EVENT));
+    new Notice(paused.length === 1
+        ? `Paused "${paused[0]}".`
+        : `Paused ${paused.length} timers: ${paused.map((p) => `"${p}"`).join(', ')}.`);
+}
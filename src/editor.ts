@@ -1,8 +1,9 @@
 import { Editor } from 'obsidian';
-import { TimerData, TimerKind, TimerState } from './types';
+import { TimerData, TimerKind, TimerState, PomodoroPhase } from './types';
 
-export const TIMER_RE = /⏳\[([^|\]]+)\|(?:(stopwatch|countdown)\|)?(running|paused|stopped)\|(\d+)\|(\d+)(?:\|(\d+))?\]/;
+export const TIMER_RE = /⏳\[([^|\]]+)\|(?:(stopwatch|countdown|pomodoro)\|)?(running|paused|stopped)\|(\d+)\|(\d+)(?:\|(\d+))?(?:\|([wsl])(\d+),(\d+),(\d+),(\d+),(\d+))?(\|ot)?\]/;
 export const timerRegex = () => new RegExp(TIMER_RE.source, 'g');
+const PHASE_CODES: Record<string, PomodoroPhase> = { w: 'work', s: 'short', l: 'long' };
 const LIST_RE = /^(\s*>?\s*(?:\d+\.\s|[-+*]\s|#+\s))/;
 
 export interface ParsedTimer extends TimerData {
@@ -12,7 +13,7 @@ export interface ParsedTimer extends TimerData {
 
 /** Single source of truth for regex‑match → TimerData */
 export function extractTimerData(m: RegExpExecArray): TimerData {
-    return {
+    const data: TimerData = {
         id: m[1],
         kind: (m[2] as TimerKind) ?? 'stopwatch',
         state: m[3] as TimerState,
@@ -20,6 +21,24 @@ export function extractTimerData(m: RegExpExecArray): TimerData {
         startedAt: parseInt(m[5], 10),
         duration: parseInt(m[6] ?? '0', 10),
     };
+
+    if (data.kind === 'pomodoro' && m[7]) {
+        data.pomodoro = {
+            phase: PHASE_CODES[m[7]],
+            round: parseInt(m[8], 10),
+            rounds: parseInt(m[9], 10),
+            work: parseInt(m[10], 10),
+            shortBreak: parseInt(m[11], 10),
+            longBreak: parseInt(m[12], 10),
+        };
+    } else if (data.kind === 'pomodoro') {
+        // No phase plan (hand edit, sync conflict): nothing to chain to, so it runs as a countdown
+        data.kind = 'countdown';
+    }
+
+    if (data.kind === 'countdown' && m[13]) data.overtime = true;
+
+    return data;
 }
 
 export function parse(line: string): ParsedTimer | null {
@@ -30,7 +49,14 @@ export function parse(line: string): ParsedTimer | null {
 }
 
 export function render(data: TimerData): string {
-    return `⏳[${data.id}|${data.kind}|${data.state}|${data.elapsed}|${data.startedAt}|${data.duration}]`;
+    const base = `${data.id}|${data.kind}|${data.state}|${data.elapsed}|${data.startedAt}|${data.duration}`;
+    const p = data.pomodoro;
+    if (data.kind === 'countdown' && data.overtime) return `⏳[${base}|ot]`;
+    if (data.kind !== 'pomodoro' || !p) return `⏳[${base}]`;
+
+    // Phase + round, then the cycle plan: w2,4,1500,300,900
+    const plan = `${p.phase[0]}${p.round},${p.rounds},${p.work},${p.shortBreak},${p.longBreak}`;
+    return `⏳[${base}|${plan}]`;
 }
 
 /** Shared space‑trimming logic used by every removal path */
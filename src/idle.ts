@@ -0,0 +1,71 @@
+import { App, Component } from 'obsidian';
+import { TimerSettings } from './types';
+import { TIMER_MUTATED_EVENT, nowSec } from './timer';
+import { findRunningTimers, cutRunningTimers } from './recovery';
+import { openGapReviewModal } from './recoveryModal';
+
+const IDLE_CHECK_MS = 30_000;
+
+/**
+ * Idle detection: after `settings.idleMinutes` without editor activity while timers
+ * run, offer to trim the idle period from each of them.
+ */
+export class IdleWatcher extends Component {
+    private lastActivity = nowSec();
+    private prompting = false;
+    private activityRef = () => this.markActive();
+
+    constructor(
+        private app: App,
+        private settings: TimerSettings,
+    ) {
+        super();
+    }
+
+    onload() {
+        window.addEventListener(TIMER_MUTATED_EVENT, this.activityRef);
+        this.registerEvent(this.app.workspace.on('editor-change', this.activityRef));
+        this.registerInterval(window.setInterval(() => void this.check(), IDLE_CHECK_MS));
+    }
+
+    onunload() {
+        window.removeEventListener(TIMER_MUTATED_EVENT, this.activityRef);
+    }
+
+    private markActive() {
+        this.lastActivity = nowSec();
+    }
+
+    private async check() {
+        const threshold = this.settings.idleMinutes * 60;
+        if (threshold <= 0 || this.prompting) return;
+
+        const now = nowSec();
+        if (now - this.lastActivity < threshold) return;
+
+        // Timers started during the idle period were not idle for long
+        const idle = (await findRunningTimers(this.app))
+            .map((timer) => ({ timer, since: Math.max(this.lastActivity, timer.startedAt) }))
+            .filter(({ since }) => now - since >= threshold);
+        if (idle.length === 0) return;
+
+        this.prompting = true;
+        openGapReviewModal(
+            this.app,
+            {
+                title: 'Idle time',
+                intro: `No editor activity for ${this.settings.idleMinutes} minute(s) while these timers were running. ` +
+                    'Trimming removes the idle time and keeps the timer running from now.',
+                keepLabel: 'Keep idle time',
+                discardLabel: 'Trim idle time',
+            },
+            idle,
+            (cuts) => void cutRunningTimers(this.app, cuts, nowSec()),
+            () => {
+                // Ask once per idle period, whatever the answer
+                this.prompting = false;
+                this.markActive();
+            },
+        );
+    }
+}
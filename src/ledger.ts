@@ -0,0 +1,182 @@
+import { App } from 'obsidian';
+
+/** A closed run of a timer: [startSec, endSec] in epoch seconds */
+export type Segment = [number, number];
+
+const SAVE_DELAY_MS = 2000;
+const RESTART_SUFFIX = ':restart';
+const BREAK_SUFFIX = ':break';
+
+/**
+ * Compact sidecar ledger of run segments, keyed by timer id.
+ * The tag keeps the displayed total; the ledger keeps *when* that time was spent.
+ * Stored as `{ "<id>": [[start, end], ...], "<id>:restart": <epoch> }` next to the plugin's data.json.
+ */
+export class TimerLedger {
+    private segments = new Map<string, Segment[]>();
+    /* When each restarted timer last started again from zero */
+    private restarts = new Map<string, number>();
+    private saveHandle: number | null = null;
+    private dirty = false;
+
+    constructor(private app: App, private path: string) {}
+
+    async load(): Promise<void> {
+        try {
+            if (!(await this.app.vault.adapter.exists(this.path))) return;
+            const raw = JSON.parse(await this.app.vault.adapter.read(this.path)) as Record<string, Segment[] | number>;
+            for (const [key, value] of Object.entries(raw)) {
+                if (Array.isArray(value)) this.segments.set(key, value);
+                else if (typeof value === 'number' && key.endsWith(RESTART_SUFFIX)) {
+                    this.restarts.set(key.slice(0, -RESTART_SUFFIX.length), value);
+                }
+            }
+        } catch (error) {
+            console.error('Timer: failed to load session ledger', error);
+        }
+    }
+
+    get(id: string): Segment[] {
+        return this.segments.get(id) ?? [];
+    }
+
+    /** Insert a segment, merging any it overlaps or touches so repeated records are harmless */
+    record(id: string, start: number, end: number): void {
+        if (end <= start) return;
+
+        const merged: Segment[] = [];
+        let next: Segment = [start, end];
+
+        for (const seg of this.get(id)) {
+            if (seg[1] < next[0] || seg[0] > next[1]) {
+                merged.push(seg);
+            } else {
+                next = [Math.min(seg[0], next[0]), Math.max(seg[1], next[1])];
+            }
+        }
+
+        merged.push(next);
+        merged.sort((a, b) => a[0] - b[0]);
+        this.segments.set(id, merged);
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    /** Seconds recorded for `id` since it last restarted from zero, i.e. the logged part of its displayed time */
+    loggedSinceRestart(id: string): number {
+        const since = this.restarts.get(id) ?? -Infinity;
+        return this.get(id).reduce((sum, [start, end]) => sum + Math.max(0, end - Math.max(start, since)), 0);
+    }
+
+    /** Note that `id` started again from zero at `at`; earlier segments stay, but no longer back its displayed time */
+    markRestart(id: string, at: number): void {
+        this.restarts.set(id, at);
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    /** Forget every segment of `id` (e.g. after a reset) */
+    discard(id: string): void {
+        const hadRestart = this.restarts.delete(id);
+        if (!this.segments.delete(id) && !hadRestart) return;
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    /** Remove `seconds` of time from the newest segments of `id` */
+    trim(id: string, seconds: number): void {
+        let excess = seconds;
+        if (excess <= 0 || !this.segments.has(id)) return;
+
+        const kept: Segment[] = [];
+        for (const [start, end] of [...this.get(id)].reverse()) {
+            const cut = Math.min(end - start, excess);
+            if (end - cut > start) kept.unshift([start, end - cut]);
+            excess -= cut;
+        }
+
+        if (kept.length > 0) this.segments.set(id, kept);
+        else this.segments.delete(id);
+        this.dirty = true;
+        this.scheduleSave();
+    }
+
+    /** Drop the entries of timers that no longer appear in the vault, so the file does not grow forever */
+    prune(liveIds: ReadonlySet<string>): void {
+        for (const key of [...this.segments.keys()]) {
+            const id = key.endsWith(BREAK_SUFFIX) ? key.slice(0, -BREAK_SUFFIX.length) : key;
+            if (!liveIds.has(id)) this.discard(key);
+        }
+        for (const id of [...this.restarts.keys()]) {
+            if (!liveIds.has(id)) this.discard(id);
+        }
+    }
+
+    private scheduleSave(): void {
+        if (this.saveHandle !== null) return;
+        this.saveHandle = window.setTimeout(() => {
+            this.saveHandle = null;
+            void this.flush();
+        }, SAVE_DELAY_MS);
+    }
+
+    async flush(): Promise<void> {
+        if (this.saveHandle !== null) {
+            window.clearTimeout(this.saveHandle);
+            this.saveHandle = null;
+        }
+
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        try {
+            await this.app.vault.adapter.write(
+                this.path,
+                JSON.stringify({
+                    ...Object.fromEntries(this.segments),
+                    ...Object.fromEntries([...this.restarts].map(([id, at]) => [`${id}${RESTART_SUFFIX}`, at])),
+                }),
+            );
+        } catch (error) {
+            console.error('Timer: failed to save session ledger', error);
+        }
+    }
+}
+
+/* Module‑level ledger ref, set once from plugin.onload */
+let _ledger: TimerLedger | null = null;
+
+export function setTimerLedger(ledger: TimerLedger | null) {
+    _ledger = ledger;
+}
+
+export function recordSegment(id: string, start: number, end: number): void {
+    _ledger?.record(id, start, end);
+}
+
+/** Forget a timer's work and break segments */
+export function discardSegments(id: string): void {
+    _ledger?.discard(id);
+    _ledger?.discard(breakKey(id));
+}
+
+export function trimSegments(id: string, seconds: number): void {
+    _ledger?.trim(id, seconds);
+}
+
+export function markRestart(id: string, at: number): void {
+    _ledger?.markRestart(id, at);
+}
+
+export function loggedSinceRestart(id: string): number {
+    return _ledger?.loggedSinceRestart(id) ?? 0;
+}
+
+/** Ledger key for pomodoro break time, kept apart from the work segments under the plain id */
+export function breakKey(id: string): string {
+    return `${id}${BREAK_SUFFIX}`;
+}
+
+export function getSegments(id: string): Segment[] {
+    return _ledger?.get(id) ?? [];
+}
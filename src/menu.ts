@@ -1,6 +1,7 @@
 import { Menu } from 'obsidian';
 import { TimerData } from './types';
 import { pauseData, resumeData, stopData, resetData, nowSec } from './timer';
+import { skipPhase } from './pomodoro';
 
 export interface TimerMenuActions {
     replace(next: TimerData): void;
@@ -24,9 +25,21 @@ export function addTimerMenuItems(
                 .onClick(() => actions.replace(resumeData(data, nowSec()))));
     }
 
-    menu.addItem((i) =>
-        i.setTitle('Stop').setIcon('square')
-            .onClick(() => actions.replace(stopData(data, nowSec()))));
+    if (data.kind === 'pomodoro') {
+        if (data.state !== 'stopped') {
+            menu.addItem((i) =>
+                i.setTitle('Skip phase').setIcon('skip-forward')
+                    .onClick(() => actions.replace(skipPhase(data, nowSec()))));
+        }
+
+        menu.addItem((i) =>
+            i.setTitle('End cycle').setIcon('square')
+                .onClick(() => actions.replace(stopData(data, nowSec()))));
+    } else {
+        menu.addItem((i) =>
+            i.setTitle('Stop').setIcon('square')
+                .onClick(() => actions.replace(stopData(data, nowSec()))));
+    }
 
     menu.addItem((i) =>
         i.setTitle('Reset').setIcon('refresh-cw')
@@ -0,0 +1,109 @@
+import { TimerData, TimerSettings, PomodoroState, PomodoroPhase } from './types';
+import { closeSegment, currentRemaining, runEnd, phaseName, playCompletionSound } from './timer';
+import { notify } from './alerts';
+
+export interface PomodoroStep {
+    data: TimerData;
+    /** Phase entered by the last transition, or null when nothing changed */
+    entered: PomodoroPhase | null;
+    /** True once the long break ended and the cycle stopped */
+    finished: boolean;
+}
+
+export function newPomodoroState(settings: TimerSettings): PomodoroState {
+    return {
+        phase: 'work',
+        round: 1,
+        rounds: Math.max(1, settings.pomodoroRounds),
+        work: Math.max(1, settings.pomodoroWorkSeconds),
+        shortBreak: Math.max(1, settings.pomodoroShortBreakSeconds),
+        longBreak: Math.max(1, settings.pomodoroLongBreakSeconds),
+    };
+}
+
+function phaseLength(p: PomodoroState, phase: PomodoroPhase): number {
+    if (phase === 'work') return p.work;
+    return phase === 'short' ? p.shortBreak : p.longBreak;
+}
+
+/** Move to the following phase at `at`, keeping the running/paused state. Ends the cycle after the long break. */
+function nextPhase(data: TimerData, at: number): PomodoroStep {
+    const p = data.pomodoro!;
+
+    if (p.phase === 'long') {
+        return {
+            data: { ...data, state: 'stopped', elapsed: data.duration, startedAt: at },
+            entered: null,
+            finished: true,
+        };
+    }
+
+    const next: PomodoroState = p.phase === 'work'
+        ? { ...p, phase: p.round < p.rounds ? 'short' : 'long' }
+        : { ...p, phase: 'work', round: p.round + 1 };
+
+    return {
+        data: {
+            ...data,
+            elapsed: 0,
+            startedAt: at,
+            duration: phaseLength(next, next.phase),
+            pomodoro: next,
+        },
+        entered: next.phase,
+        finished: false,
+    };
+}
+
+/**
+ * Chain through every phase that has run out by `ref`. Each phase starts at the
+ * previous deadline, so a pomodoro left running in a closed note catches up exactly.
+ */
+export function advancePomodoro(data: TimerData, ref: number): PomodoroStep {
+    let step: PomodoroStep = { data, entered: null, finished: false };
+
+    while (
+        step.data.kind === 'pomodoro' &&
+        step.data.pomodoro &&
+        step.data.state === 'running' &&
+        currentRemaining(step.data, ref) === 0
+    ) {
+        const current = step.data;
+        closeSegment(current, ref);
+        const next = nextPhase(current, runEnd(current, ref));
+        step = { ...next, entered: next.entered ?? step.entered };
+    }
+
+    return step;
+}
+
+export function skipPhase(data: TimerData, ref: number): TimerData {
+    if (data.kind !== 'pomodoro' || !data.pomodoro) return data;
+    closeSegment(data, ref);
+    return nextPhase(data, ref).data;
+}
+
+/** Notice (and OS notification) + per-phase sound for a pomodoro transition */
+export function announcePomodoro(step: PomodoroStep, settings: TimerSettings | null): void {
+    const p = step.data.pomodoro;
+    if (!p) return;
+
+    if (step.finished) {
+        notify('Pomodoro cycle complete! 🍅', settings);
+        if (settings?.playCompletionSound) playCompletionSound(settings.soundType);
+        return;
+    }
+
+    if (!step.entered) return;
+
+    const label = step.entered === 'work'
+        ? `${phaseName('work')} — round ${p.round}/${p.rounds}`
+        : `${phaseName(step.entered)} — ${Math.round(phaseLength(p, step.entered) / 60)} min`;
+    notify(`🍅 ${label}`, settings);
+
+    if (!settings?.playCompletionSound) return;
+    const sound = step.entered === 'work'
+        ? settings.workSound
+        : step.entered === 'short' ? settings.shortBreakSound : settings.longBreakSound;
+    playCompletionSound(sound);
+}
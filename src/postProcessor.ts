@@ -1,10 +1,13 @@
-import { App, MarkdownRenderChild, Menu, TFile, Notice } from 'obsidian';
+import { App, MarkdownRenderChild, Menu, TFile } from 'obsidian';
 import { TimerData, TimerSettings } from './types';
-import { renderDisplay, currentRemaining, nowSec, stopData, playCompletionSound } from './timer';
+import { renderDisplay, currentRemaining, nowSec, badgeClass, isTimed } from './timer';
+import { advancePomodoro, announcePomodoro } from './pomodoro';
+import { finishCountdown, announceFinished, checkWarnings } from './alerts';
 import { addTimerMenuItems } from './menu';
 import { openTimeModal } from './timeModal';
-import { mutateTimerInFile } from './controller';
+import { mutateTimerInFile, enforceExclusiveFocus } from './controller';
 import { addLongPress } from './longPress';
+import { isExpiryHeld } from './recovery';
 
 export class TimerRenderChild extends MarkdownRenderChild {
     interval: number | null = null;
@@ -35,27 +38,42 @@ export class TimerRenderChild extends MarkdownRenderChild {
     private refresh() {
         if (
             !this.finishing &&
-            this.data.kind === 'countdown' &&
+            isTimed(this.data) &&
             this.data.state === 'running' &&
+            !this.data.overtime &&
+            !isExpiryHeld(this.data.id) &&
             currentRemaining(this.data) === 0
         ) {
+            const isPomodoro = this.data.kind === 'pomodoro';
+
             if (this.isFirstRender) {
                 // Expired while closed. Prevent file mutation during read/render phase (crucial for Canvas embeds).
                 // Let the background expiry scanner handle the file write.
-                this.data = stopData(this.data, nowSec());
+                this.data = isPomodoro
+                    ? advancePomodoro(this.data, nowSec()).data
+                    : finishCountdown(this.data, this.settings, nowSec());
             } else {
                 this.finishing = true;
-                new Notice('Timer finished!');
-                if (this.settings.playCompletionSound) playCompletionSound(this.settings.soundType);
-                void this.mutate((d) => stopData(d, nowSec())).finally(() => {
+                let finish = (d: TimerData) => finishCountdown(d, this.settings, nowSec());
+
+                if (isPomodoro) {
+                    const step = advancePomodoro(this.data, nowSec());
+                    announcePomodoro(step, this.settings);
+                    finish = () => step.data;
+                } else {
+                    announceFinished(this.settings);
+                }
+
+                void this.mutate(finish).finally(() => {
                     this.finishing = false;
                 });
                 return;
             }
         }
 
+        checkWarnings(this.data, this.settings);
         this.isFirstRender = false;
-        this.containerEl.className = `timer-badge timer-${this.data.kind} timer-${this.data.state}`;
+        this.containerEl.className = badgeClass(this.data);
         this.containerEl.textContent = renderDisplay(this.data);
         this.syncInterval();
     }
@@ -64,7 +82,9 @@ export class TimerRenderChild extends MarkdownRenderChild {
         const file = this.app.vault.getAbstractFileByPath(this.sourcePath);
         if (!(file instanceof TFile)) return;
 
+        const prev = this.data;
         const nextData = await mutateTimerInFile(this.app, file, this.data.id, mutator);
+        void enforceExclusiveFocus(this.app, this.settings, prev, nextData);
 
         if (nextData) {
             this.data = nextData;
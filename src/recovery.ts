@@ -1,20 +1,54 @@
 import { App, MarkdownView, TFile, Notice } from 'obsidian';
-import { TimerData } from './types';
-import { nowSec, pauseData, stopData, currentRemaining } from './timer';
+import { TimerData, TimerSettings } from './types';
+import { TIMER_MUTATED_EVENT, nowSec, pauseData, resumeData, stopData, currentRemaining, isTimed } from './timer';
+import { advancePomodoro, announcePomodoro, PomodoroStep } from './pomodoro';
 import { timerRegex, parse, extractTimerData, render, replaceTimer } from './editor';
+import { IndexedTimer, getTimerIndex, parseFileTimers } from './timerIndex';
+import { openGapReviewModal } from './recoveryModal';
+import { finishCountdown, announceFinished } from './alerts';
+
+type TimerSelector = (data: TimerData, ref: number) => boolean;
+
+const isRunning: TimerSelector = (data) => data.state === 'running';
+
+/** Notes that may hold running timers: from the index when it is built, else every note */
+function runningTimerFiles(app: App): TFile[] {
+    const index = getTimerIndex();
+    if (!index) return app.vault.getMarkdownFiles();
+
+    return index.runningFiles()
+        .map((path) => app.vault.getAbstractFileByPath(path))
+        .filter((file): file is TFile => file instanceof TFile);
+}
+
+/** Tally of transformed timers; `lines` (when given) collects the line text of each one */
+export interface TransformCounter {
+    count: number;
+    lines?: string[];
+}
 
 export function transformTimersInContent(
     content: string,
     refTime: number,
     mutator: (data: TimerData, ref: number) => TimerData,
-    counter?: { count: number }
+    counter?: TransformCounter,
+    select: TimerSelector = isRunning,
 ): string {
     return content.replace(
         timerRegex(),
         (...args) => {
             const data = extractTimerData(args as unknown as RegExpExecArray);
-            if (data.state !== 'running') return args[0];
-            if (counter) counter.count++;
+            if (!select(data, refTime)) return args[0];
+            if (counter) {
+                counter.count++;
+                if (counter.lines) {
+                    // replace() passes (match, ...groups, offset, whole string)
+                    const offset = args[args.length - 2] as number;
+                    const start = content.lastIndexOf('\n', offset) + 1;
+                    const end = content.indexOf('\n', offset);
+                    counter.lines.push(content.slice(start, end === -1 ? content.length : end));
+                }
+            }
             return render(mutator(data, refTime));
         },
     );
@@ -48,11 +82,79 @@ export function pauseOpenEditorsSync(app: App, ref = nowSec()): Set<string> {
     return handledPaths;
 }
 
-export async function recoverRunningTimers(app: App, lastActiveTime: number) {
-    const ref = lastActiveTime > 0 ? lastActiveTime : nowSec();
+/* Timers listed in an open recovery review; expiry leaves them alone until it resolves */
+const heldTimers = new Set<string>();
+
+/** Whether a timer awaits the user's recovery decision, so must not expire yet */
+export function isExpiryHeld(id: string): boolean {
+    return heldTimers.has(id);
+}
+
+export function heldTimerIds(): ReadonlySet<string> {
+    return heldTimers;
+}
+
+/** Every running timer in the vault, with its position and context */
+export async function findRunningTimers(app: App): Promise<IndexedTimer[]> {
+    const found: IndexedTimer[] = [];
+    for (const file of runningTimerFiles(app)) {
+        const content = await app.vault.cachedRead(file);
+        found.push(...parseFileTimers(app, file, content).filter((t) => t.state === 'running'));
+    }
+    return found;
+}
+
+/**
+ * Handle timers left running by a crash or sleep, per `settings.recoveryPolicy`:
+ * pause them at the last active time, keep them running, or ask per timer.
+ * Timers under review are held back from expiry; `onReviewed` runs once the review
+ * is resolved and its cuts are written, so expiry can be rescheduled.
+ */
+export async function recoverRunningTimers(app: App, settings: TimerSettings, onReviewed?: () => void) {
+    const ref = settings.lastActiveTime > 0 ? settings.lastActiveTime : nowSec();
+
+    if (settings.recoveryPolicy !== 'pause') {
+        const timers = await findRunningTimers(app);
+        if (timers.length === 0) return;
+
+        if (settings.recoveryPolicy === 'keep') {
+            new Notice(`Kept ${timers.length} timer(s) running from previous session.`);
+            return;
+        }
+
+        timers.forEach((t) => heldTimers.add(t.id));
+        let submitted = false;
+        const release = () => {
+            timers.forEach((t) => heldTimers.delete(t.id));
+            onReviewed?.();
+        };
+
+        app.workspace.onLayoutReady(() =>
+            openGapReviewModal(
+                app,
+                {
+                    title: 'Timers left running',
+                    intro: 'These timers were still running when Obsidian last closed. ' +
+                        'Choose what to do with the time since each was last seen.',
+                    keepLabel: 'Keep the gap',
+                    discardLabel: 'Discard the gap',
+                },
+                timers.map((timer) => ({ timer, since: Math.max(ref, timer.startedAt) })),
+                (cuts) => {
+                    submitted = true;
+                    void cutRunningTimers(app, cuts).finally(release);
+                },
+                () => {
+                    if (!submitted) release();
+                },
+            ),
+        );
+        return;
+    }
+
     const counter = { count: 0 };
     
-    const files = app.vault.getMarkdownFiles();
+    const files = runningTimerFiles(app);
     for (const file of files) {
         const content = await app.vault.cachedRead(file);
         if (!content.includes('|running|')) continue;
@@ -76,7 +178,7 @@ export async function recoverRunningTimers(app: App, lastActiveTime: number) {
 export async function saveAllRunningTimers(app: App, ref = nowSec()) {
     const handledPaths = pauseOpenEditorsSync(app, ref);
 
-    const files = app.vault.getMarkdownFiles();
+    const files = runningTimerFiles(app);
     for (const file of files) {
         if (handledPaths.has(file.path)) continue;
         
@@ -93,9 +195,18 @@ export async function saveAllRunningTimers(app: App, ref = nowSec()) {
     }
 }
 
-export async function stopAllRunningTimers(app: App, ref = nowSec()): Promise<number> {
+/**
+ * Apply `mutator` to every running timer in the vault that `select` accepts:
+ * open editors are edited in place, closed notes through `vault.process`.
+ */
+async function transformRunningTimers(
+    app: App,
+    ref: number,
+    mutator: (data: TimerData, ref: number) => TimerData,
+    counter: TransformCounter,
+    select: TimerSelector = isRunning,
+): Promise<void> {
     const handledPaths = new Set<string>();
-    let count = 0;
 
     app.workspace.getLeavesOfType('markdown').forEach((leaf) => {
         if (!(leaf.view instanceof MarkdownView)) return;
@@ -104,15 +215,17 @@ export async function stopAllRunningTimers(app: App, ref = nowSec()): Promise<nu
 
         const editor = leaf.view.editor;
         for (let i = 0; i < editor.lineCount(); i++) {
-            const p = parse(editor.getLine(i));
-            if (p?.state !== 'running') continue;
+            const lineText = editor.getLine(i);
+            const p = parse(lineText);
+            if (!p || !select(p, ref)) continue;
 
-            count++;
-            replaceTimer(editor, i, render(stopData(p, ref)), p.start, p.end);
+            counter.count++;
+            counter.lines?.push(lineText);
+            replaceTimer(editor, i, render(mutator(p, ref)), p.start, p.end);
         }
     });
 
-    const files = app.vault.getMarkdownFiles();
+    const files = runningTimerFiles(app);
     for (const file of files) {
         if (handledPaths.has(file.path)) continue;
         
@@ -121,70 +234,106 @@ export async function stopAllRunningTimers(app: App, ref = nowSec()): Promise<nu
 
         try {
             await app.vault.process(file, (content) => {
-                const counter = { count: 0 };
-                const res = transformTimersInContent(content, ref, stopData, counter);
-                count += counter.count;
+                const pass: TransformCounter = { count: 0, lines: counter.lines ? [] : undefined };
+                const res = transformTimersInContent(content, ref, mutator, pass, select);
+                counter.count += pass.count;
+                counter.lines?.push(...(pass.lines ?? []));
                 return res;
             });
         } catch (error) {
-            console.error(`Timer: stop failed for ${file.path}`, error);
+            console.error(`Timer: update failed for ${file.path}`, error);
         }
     }
-    
-    return count;
+}
+
+export async function stopAllRunningTimers(app: App, ref = nowSec()): Promise<number> {
+    const counter: TransformCounter = { count: 0 };
+    await transformRunningTimers(app, ref, stopData, counter);
+    return counter.count;
+}
+
+/** Pause every running timer except `exceptId`; returns the line text of each paused timer */
+export async function pauseOtherRunningTimers(app: App, exceptId: string, ref = nowSec()): Promise<string[]> {
+    const counter: TransformCounter = { count: 0, lines: [] };
+    await transformRunningTimers(app, ref, pauseData, counter, (data) => isRunning(data, ref) && data.id !== exceptId);
+    return counter.lines ?? [];
 }
 
 /**
- * Background scan: find running countdown timers that have expired
- * (remaining time <= 0) and transition them to stopped.
- * Prevents stale "running" state when note is not open during expiry.
+ * Cut running timers at the given epoch second (keyed by id), dropping the time after it.
+ * With `resumeAt`, each timer keeps running from then (idle trim); otherwise it stays paused.
  */
-export async function expireFinishedCountdowns(app: App, ref = nowSec()): Promise<number> {
-    let count = 0;
+export async function cutRunningTimers(
+    app: App,
+    cuts: Map<string, number>,
+    resumeAt?: number,
+): Promise<number> {
+    if (cuts.size === 0) return 0;
 
-    const files = app.vault.getMarkdownFiles();
-    for (const file of files) {
-        const content = await app.vault.cachedRead(file);
-        if (!content.includes('|running|')) continue;
+    const cut = (data: TimerData): TimerData => {
+        const at = cuts.get(data.id)!;
+        // Catch a pomodoro up to the phase it was in at the cut
+        const base = data.kind === 'pomodoro' ? advancePomodoro(data, at).data : data;
+        if (base.state !== 'running') return base;
 
-        // Check if any running countdown in this file has expired
-        const re = timerRegex();
-        let hasExpired = false;
-        let m: RegExpExecArray | null;
-
-        while ((m = re.exec(content)) !== null) {
-            const data = extractTimerData(m);
-            if (
-                data.state === 'running' &&
-                data.kind === 'countdown' &&
-                currentRemaining(data, ref) === 0
-            ) {
-                hasExpired = true;
-                break;
-            }
-        }
+        const paused = pauseData(base, at);
+        // A countdown that ran out before the cut stays stopped
+        return resumeAt !== undefined && paused.state === 'paused' ? resumeData(paused, resumeAt) : paused;
+    };
 
-        if (!hasExpired) continue;
+    const counter: TransformCounter = { count: 0 };
+    await transformRunningTimers(app, nowSec(), cut, counter, (data) => data.state === 'running' && cuts.has(data.id));
+    if (counter.count > 0) window.dispatchEvent(new CustomEvent(TIMER_MUTATED_EVENT));
 
-        try {
-            await app.vault.process(file, (c) =>
-                c.replace(timerRegex(), (...args) => {
-                    const data = extractTimerData(args as unknown as RegExpExecArray);
-                    if (
-                        data.state === 'running' &&
-                        data.kind === 'countdown' &&
-                        currentRemaining(data, ref) === 0
-                    ) {
-                        count++;
-                        return render(stopData(data, ref));
-                    }
-                    return args[0];
-                }),
-            );
-        } catch (error) {
-            console.error(`Timer: expire failed for ${file.path}`, error);
-        }
+    const skipped = cuts.size - counter.count;
+    if (skipped > 0) {
+        new Notice(`${skipped} timer(s) were no longer running and were left unchanged.`);
     }
 
-    return count;
+    return counter.count;
+}
+
+function isExpired(data: TimerData, ref: number): boolean {
+    return (
+        data.state === 'running' &&
+        !heldTimers.has(data.id) &&
+        isTimed(data) &&
+        !data.overtime &&
+        currentRemaining(data, ref) === 0
+    );
+}
+
+/**
+ * Background scan: find running countdown timers that have expired
+ * (remaining time <= 0) and transition them to stopped, or into overtime.
+ * Pomodoros due for a phase change are advanced to their next phase instead.
+ * Announces each transition the same way the Live Preview and Reading view badges do.
+ * Prevents stale "running" state when note is not open during expiry.
+ * Open editors are edited in place so an unsaved buffer never overwrites the change.
+ */
+export async function expireFinishedCountdowns(
+    app: App,
+    settings: TimerSettings,
+    ref = nowSec(),
+): Promise<number> {
+    const counter: TransformCounter = { count: 0 };
+    const steps: PomodoroStep[] = [];
+    let finished = 0;
+
+    const expire = (data: TimerData, at: number): TimerData => {
+        if (data.kind !== 'pomodoro') {
+            finished++;
+            return finishCountdown(data, settings, at);
+        }
+        const step = advancePomodoro(data, at);
+        steps.push(step);
+        return step.data;
+    };
+
+    await transformRunningTimers(app, ref, expire, counter, isExpired);
+    if (counter.count > 0) window.dispatchEvent(new CustomEvent(TIMER_MUTATED_EVENT));
+    steps.forEach((step) => announcePomodoro(step, settings));
+    if (finished > 0) announceFinished(settings);
+
+    return counter.count;
 }
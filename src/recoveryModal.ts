@@ -0,0 +1,136 @@
+import { App, Modal, Setting, Notice } from 'obsidian';
+import { IndexedTimer } from './timerIndex';
+import { fileName } from './analytics/renderer';
+import { formatDuration, nowSec } from './timer';
+
+/** A running timer whose time since `since` is in question (app closed, or user idle) */
+export interface GapTimer {
+    timer: IndexedTimer;
+    since: number;
+}
+
+export interface GapReviewText {
+    title: string;
+    intro: string;
+    keepLabel: string;
+    discardLabel: string;
+}
+
+type GapChoice = 'keep' | 'discard' | 'custom';
+
+/** `HH:MM` (most recent occurrence) or `YYYY-MM-DD HH:MM`, in epoch seconds */
+function parseClockInput(raw: string, now: number): number | null {
+    const m = /^(?:(\d{4})-(\d{2})-(\d{2})\s+)?(\d{1,2}):(\d{2})$/.exec(raw.trim());
+    if (!m) return null;
+
+    const hours = parseInt(m[4], 10);
+    const minutes = parseInt(m[5], 10);
+    if (hours > 23 || minutes > 59) return null;
+
+    const d = new Date(now * 1000);
+    if (m[1]) d.setFullYear(parseInt(m[1], 10), parseInt(m[2], 10) - 1, parseInt(m[3], 10));
+    d.setHours(hours, minutes, 0, 0);
+    if (!m[1] && d.getTime() > now * 1000) d.setDate(d.getDate() - 1);
+
+    return Math.floor(d.getTime() / 1000);
+}
+
+function clockTime(epochSec: number): string {
+    return new Date(epochSec * 1000).toLocaleString(undefined, {
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+/**
+ * Ask, per timer, what to do with a gap: keep it, discard it, or cut at a custom time.
+ * `onSubmit` gets the cut time of every timer whose gap is not kept. Cancelling
+ * leaves every timer running, as if each gap were kept.
+ */
+export function openGapReviewModal(
+    app: App,
+    text: GapReviewText,
+    timers: GapTimer[],
+    onSubmit: (cuts: Map<string, number>) => void,
+    onClose?: () => void,
+): void {
+    class GapReviewModal extends Modal {
+        private choices = new Map<string, GapChoice>(timers.map((t) => [t.timer.id, 'discard']));
+        private custom = new Map<string, string>();
+
+        onOpen() {
+            this.titleEl.setText(text.title);
+            this.contentEl.createEl('p', { text: text.intro, cls: 'setting-item-description' });
+
+            const now = nowSec();
+            for (const { timer, since } of timers) {
+                const setting = new Setting(this.contentEl)
+                    .setName(timer.context.task || fileName(timer.filePath))
+                    .setDesc(
+                        `${fileName(timer.filePath)}:${timer.line + 1} · ` +
+                        `last seen ${clockTime(since)} · gap ${formatDuration(now - since)}`,
+                    );
+
+                let customInput: HTMLInputElement | null = null;
+
+                setting.addDropdown((dd) =>
+                    dd
+                        .addOption('keep', text.keepLabel)
+                        .addOption('discard', text.discardLabel)
+                        .addOption('custom', 'Custom end time')
+                        .setValue('discard')
+                        .onChange((v) => {
+                            this.choices.set(timer.id, v as GapChoice);
+                            customInput?.toggle(v === 'custom');
+                            if (v === 'custom') customInput?.focus();
+                        }),
+                );
+
+                setting.addText((input) => {
+                    customInput = input.inputEl;
+                    input.setPlaceholder('HH:MM');
+                    input.onChange((v) => this.custom.set(timer.id, v));
+                    input.inputEl.hide();
+                });
+            }
+
+            new Setting(this.contentEl)
+                .addButton((btn) =>
+                    btn.setButtonText('Apply').setCta().onClick(() => this.submit()))
+                .addButton((btn) =>
+                    btn.setButtonText('Cancel').onClick(() => this.close()));
+        }
+
+        onClose() {
+            this.contentEl.empty();
+            onClose?.();
+        }
+
+        private submit() {
+            const now = nowSec();
+            const cuts = new Map<string, number>();
+
+            for (const { timer, since } of timers) {
+                const choice = this.choices.get(timer.id);
+                if (choice === 'discard') {
+                    cuts.set(timer.id, since);
+                } else if (choice === 'custom') {
+                    const at = parseClockInput(this.custom.get(timer.id) ?? '', now);
+                    if (at === null || at < timer.startedAt || at > now) {
+                        new Notice(`Invalid end time for "${timer.context.task || fileName(timer.filePath)}". ` +
+                            'Use HH:MM or YYYY-MM-DD HH:MM, after the timer started and not in the future.');
+                        return;
+                    }
+                    cuts.set(timer.id, at);
+                }
+            }
+
+            onSubmit(cuts);
+            this.close();
+        }
+    }
+
+    new GapReviewModal(app).open();
+}
@@ -1,8 +1,9 @@
 import { App, PluginSettingTab, Setting, Notice } from 'obsidian';
-import { TimerSettings } from './types';
+import { TimerSettings, CountdownWarning } from './types';
 import { formatDuration, parseDurationInput } from './timer';
 import type TimerPlugin from '../main';
 import { ANALYTICS_VIEW_TYPE } from './analytics/view';
+import { requestNotificationPermission } from './alerts';
 
 export const DEFAULT_SETTINGS: TimerSettings = {
     insertPosition: 'tail',
@@ -11,8 +12,38 @@ export const DEFAULT_SETTINGS: TimerSettings = {
     playCompletionSound: false,
     soundType: 'chime',
     enableAnalytics: false,
+    pomodoroWorkSeconds: 25 * 60,
+    pomodoroShortBreakSeconds: 5 * 60,
+    pomodoroLongBreakSeconds: 15 * 60,
+    pomodoroRounds: 4,
+    workSound: 'marimba',
+    shortBreakSound: 'chime',
+    longBreakSound: 'bell',
+    exportFolder: 'Timer exports',
+    exclusiveRunning: false,
+    recoveryPolicy: 'pause',
+    idleMinutes: 0,
+    countdownWarnings: [],
+    countdownOvertime: false,
+    systemNotifications: false,
 };
 
+const SOUND_OPTIONS: Record<TimerSettings['soundType'], string> = {
+    chime: 'Soft Chime',
+    bell: 'Gentle Bell',
+    beep: 'Classic Beep',
+    digital: 'Digital Alarm',
+    marimba: 'Soft Marimba',
+};
+
+type DurationKey =
+    | 'defaultCountdownSeconds'
+    | 'pomodoroWorkSeconds'
+    | 'pomodoroShortBreakSeconds'
+    | 'pomodoroLongBreakSeconds';
+
+type SoundKey = 'soundType' | 'workSound' | 'shortBreakSound' | 'longBreakSound';
+
 export class TimerSettingTab extends PluginSettingTab {
     plugin: TimerPlugin;
 
@@ -43,6 +74,48 @@ export class TimerSettingTab extends PluginSettingTab {
                     }),
             );
 
+        new Setting(containerEl)
+            .setName('Only one running timer')
+            .setDesc('Starting or resuming a timer pauses every other running timer in the vault.')
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.settings.exclusiveRunning)
+                    .onChange(async (v) => {
+                        this.plugin.settings.exclusiveRunning = v;
+                        await this.plugin.saveSettings();
+                    }),
+            );
+
+        new Setting(containerEl)
+            .setName('Timers left running after a restart')
+            .setDesc('What to do with timers that were still running when Obsidian crashed or the computer slept.')
+            .addDropdown((dd) =>
+                dd
+                    .addOption('pause', 'Pause at last active time')
+                    .addOption('keep', 'Keep running as if never interrupted')
+                    .addOption('ask', 'Ask me')
+                    .setValue(this.plugin.settings.recoveryPolicy)
+                    .onChange(async (v) => {
+                        this.plugin.settings.recoveryPolicy = v as TimerSettings['recoveryPolicy'];
+                        await this.plugin.saveSettings();
+                    }),
+            );
+
+        new Setting(containerEl)
+            .setName('Idle prompt')
+            .setDesc('Minutes without editor activity, while a timer runs, before offering to trim the idle time. 0 turns it off.')
+            .addText((text) => {
+                text.inputEl.type = 'number';
+                text.inputEl.min = '0';
+                text.setValue(String(this.plugin.settings.idleMinutes));
+                text.onChange(async (v) => {
+                    const minutes = parseInt(v, 10);
+                    if (!(minutes >= 0)) return;
+                    this.plugin.settings.idleMinutes = minutes;
+                    await this.plugin.saveSettings();
+                });
+            });
+
         new Setting(containerEl)
             .setName('Play sound on completion')
             .setDesc('Play a brief text-editor friendly sound when a countdown finishes.')
@@ -55,65 +128,87 @@ export class TimerSettingTab extends PluginSettingTab {
                     }),
             );
 
+        this.addSoundSetting(containerEl, 'Sound type', 'Which sound to play on countdown completion.', 'soundType');
+
         new Setting(containerEl)
-            .setName('Sound type')
-            .setDesc('Which sound to play on countdown completion.')
-            .addDropdown((dd) =>
-                dd
-                    .addOption('chime', 'Soft Chime')
-                    .addOption('bell', 'Gentle Bell')
-                    .addOption('beep', 'Classic Beep')
-                    .addOption('digital', 'Digital Alarm')
-                    .addOption('marimba', 'Soft Marimba')
-                    .setValue(this.plugin.settings.soundType)
+            .setName('System notifications')
+            .setDesc('Also show countdown, warning and pomodoro alerts as operating system notifications.')
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.settings.systemNotifications)
                     .onChange(async (v) => {
-                        this.plugin.settings.soundType =
-                            v as TimerSettings['soundType'];
+                        if (v && !(await requestNotificationPermission())) {
+                            new Notice('System notifications are blocked. Allow them for Obsidian in your OS settings.');
+                            toggle.setValue(false);
+                            return;
+                        }
+                        this.plugin.settings.systemNotifications = v;
                         await this.plugin.saveSettings();
                     }),
             );
 
+        this.addDurationSetting(
+            containerEl,
+            'Default countdown',
+            'Used by Alt+C. Use mm:ss, hh:mm:ss, or a whole number for minutes.',
+            'defaultCountdownSeconds',
+        );
+
         new Setting(containerEl)
-            .setName('Default countdown')
-            .setDesc(
-                'Used by Alt+C. Use mm:ss, hh:mm:ss, or a whole number for minutes.',
-            )
-            .addText((text) => {
-                text.setPlaceholder('25:00');
-                text.setValue(
-                    formatDuration(this.plugin.settings.defaultCountdownSeconds),
-                );
+            .setName('Overtime')
+            .setDesc('Keep countdowns running past zero and show how far over they went, e.g. ⌛-03:12. Stop them yourself.')
+            .addToggle((toggle) =>
+                toggle
+                    .setValue(this.plugin.settings.countdownOvertime)
+                    .onChange(async (v) => {
+                        this.plugin.settings.countdownOvertime = v;
+                        await this.plugin.saveSettings();
+                    }),
+            );
 
-                const save = async () => {
-                    const secs = parseDurationInput(text.inputEl.value);
-                    if (secs === null || secs <= 0) {
-                        new Notice('Invalid countdown.');
-                        text.setValue(
-                            formatDuration(
-                                this.plugin.settings.defaultCountdownSeconds,
-                            ),
-                        );
-                        return;
-                    }
+        this.addWarningSettings(containerEl);
 
-                    this.plugin.settings.defaultCountdownSeconds = secs;
-                    await this.plugin.saveSettings();
-                    text.setValue(formatDuration(secs));
-                };
+        // ── Pomodoro ──
+        containerEl.createEl('h3', { text: 'Pomodoro' });
 
-                text.inputEl.addEventListener('blur', () => void save());
-                text.inputEl.addEventListener('keydown', (evt) => {
-                    if (evt.key === 'Enter') {
-                        evt.preventDefault();
-                        void save();
-                        text.inputEl.blur();
-                    }
-                });
-            });
+        this.addDurationSetting(containerEl, 'Work', 'Length of each work phase.', 'pomodoroWorkSeconds');
+        this.addDurationSetting(containerEl, 'Short break', 'Break between work rounds.', 'pomodoroShortBreakSeconds');
+        this.addDurationSetting(containerEl, 'Long break', 'Break after the last round of a cycle.', 'pomodoroLongBreakSeconds');
+
+        new Setting(containerEl)
+            .setName('Rounds per cycle')
+            .setDesc('Work rounds before the long break.')
+            .addSlider((slider) =>
+                slider
+                    .setLimits(1, 12, 1)
+                    .setValue(this.plugin.settings.pomodoroRounds)
+                    .setDynamicTooltip()
+                    .onChange(async (v) => {
+                        this.plugin.settings.pomodoroRounds = v;
+                        await this.plugin.saveSettings();
+                    }),
+            );
+
+        this.addSoundSetting(containerEl, 'Work sound', 'Played when a work phase starts.', 'workSound');
+        this.addSoundSetting(containerEl, 'Short break sound', 'Played when a short break starts.', 'shortBreakSound');
+        this.addSoundSetting(containerEl, 'Long break sound', 'Played when the long break starts.', 'longBreakSound');
 
         // ── Advanced ──
         containerEl.createEl('h3', { text: 'Advanced' });
 
+        new Setting(containerEl)
+            .setName('Export folder')
+            .setDesc('Vault folder for CSV, JSON and iCalendar session exports.')
+            .addText((text) =>
+                text
+                    .setPlaceholder(DEFAULT_SETTINGS.exportFolder)
+                    .setValue(this.plugin.settings.exportFolder)
+                    .onChange(async (v) => {
+                        this.plugin.settings.exportFolder = v.trim();
+                        await this.plugin.saveSettings();
+                    }),
+            );
+
         new Setting(containerEl)
             .setName('Enable analytics panel')
             .setDesc(
@@ -140,4 +235,100 @@ export class TimerSettingTab extends PluginSettingTab {
                     }),
             );
     }
+
+    private addWarningSettings(containerEl: HTMLElement) {
+        const save = async (warnings: CountdownWarning[], redraw = false) => {
+            // Replace rather than mutate: the list may still be the DEFAULT_SETTINGS array
+            this.plugin.settings.countdownWarnings = warnings;
+            await this.plugin.saveSettings();
+            if (redraw) this.display();
+        };
+
+        new Setting(containerEl)
+            .setName('Warnings before the end')
+            .setDesc('Alert when a running countdown has this much time left, each with its own sound.')
+            .addButton((btn) =>
+                btn.setButtonText('Add warning').onClick(() =>
+                    void save([...this.plugin.settings.countdownWarnings, { seconds: 60, sound: 'beep' }], true)));
+
+        this.plugin.settings.countdownWarnings.forEach((warning, i) => {
+            const update = (patch: Partial<CountdownWarning>) =>
+                save(this.plugin.settings.countdownWarnings.map((w, j) => (j === i ? { ...w, ...patch } : w)));
+
+            new Setting(containerEl)
+                .setName(`Warning ${i + 1}`)
+                .setDesc('Time left, as mm:ss, hh:mm:ss or whole minutes.')
+                .addText((text) => {
+                    text.setValue(formatDuration(warning.seconds));
+                    text.inputEl.addEventListener('blur', () => {
+                        const secs = parseDurationInput(text.inputEl.value);
+                        if (secs === null || secs <= 0) {
+                            new Notice('Invalid duration.');
+                            text.setValue(formatDuration(this.plugin.settings.countdownWarnings[i].seconds));
+                            return;
+                        }
+                        text.setValue(formatDuration(secs));
+                        void update({ seconds: secs });
+                    });
+                })
+                .addDropdown((dd) =>
+                    dd
+                        .addOptions(SOUND_OPTIONS)
+                        .setValue(warning.sound)
+                        .onChange((v) => void update({ sound: v as TimerSettings['soundType'] })))
+                .addExtraButton((btn) =>
+                    btn
+                        .setIcon('trash')
+                        .setTooltip('Remove warning')
+                        .onClick(() =>
+                            void save(this.plugin.settings.countdownWarnings.filter((_, j) => j !== i), true)));
+        });
+    }
+
+    private addSoundSetting(containerEl: HTMLElement, name: string, desc: string, key: SoundKey) {
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(desc)
+            .addDropdown((dd) =>
+                dd
+                    .addOptions(SOUND_OPTIONS)
+                    .setValue(this.plugin.settings[key])
+                    .onChange(async (v) => {
+                        this.plugin.settings[key] = v as TimerSettings['soundType'];
+                        await this.plugin.saveSettings();
+                    }),
+            );
+    }
+
+    private addDurationSetting(containerEl: HTMLElement, name: string, desc: string, key: DurationKey) {
+        new Setting(containerEl)
+            .setName(name)
+            .setDesc(desc)
+            .addText((text) => {
+                text.setPlaceholder(formatDuration(DEFAULT_SETTINGS[key]));
+                text.setValue(formatDuration(this.plugin.settings[key]));
+
+                const save = async () => {
+                    const secs = parseDurationInput(text.inputEl.value);
+                    if (secs === null || secs <= 0) {
+                        new Notice('Invalid duration.');
+                        text.setValue(formatDuration(this.plugin.settings[key]));
+                        return;
+                    }
+
+                    this.plugin.settings[key] = secs;
+                    await this.plugin.saveSettings();
+                    text.setValue(formatDuration(secs));
+                };
+
+                text.inputEl.addEventListener('blur', () => void save());
+                text.inputEl.addEventListener('keydown', (evt) => {
+                    if (evt.key === 'Enter') {
+                        evt.preventDefault();
+                        void save();
+                        text.inputEl.blur();
+                    }
+                });
+            });
+    }
 }
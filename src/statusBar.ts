@@ -0,0 +1,74 @@
+import { App, Component } from 'obsidian';
+import { TimerSession, collectTimers } from './analytics/scanner';
+import { fileName } from './analytics/renderer';
+import { currentRemaining, formatDuration, isTimed, renderDisplay } from './timer';
+import { getTimerIndex } from './timerIndex';
+
+/** Short label for a timer: its task text, else its note name */
+export function timerLabel(session: TimerSession): string {
+    return session.context.task || fileName(session.filePath);
+}
+
+/**
+ * Status bar item showing the running timer (or a count plus the soonest-expiring
+ * countdown). Keeps a cache of every running/paused timer in the vault for the switcher.
+ */
+export class TimerStatusBar extends Component {
+    timers: TimerSession[] = [];
+
+    constructor(
+        private app: App,
+        private el: HTMLElement,
+        private onClick: () => void,
+    ) {
+        super();
+    }
+
+    onload() {
+        this.el.addClass('timer-status-bar');
+        this.el.setAttribute('role', 'button');
+        this.el.addEventListener('click', this.onClick);
+
+        const index = getTimerIndex();
+        if (index) this.registerEvent(index.on('changed', () => void this.rescan()));
+        this.registerInterval(window.setInterval(() => this.update(), 1000));
+
+        void this.rescan();
+    }
+
+    onunload() {
+        this.el.removeEventListener('click', this.onClick);
+    }
+
+    async rescan(): Promise<void> {
+        this.timers = (await collectTimers(this.app)).filter((t) => t.state !== 'stopped');
+        this.update();
+    }
+
+    private update() {
+        const running = this.timers.filter((t) => t.state === 'running');
+        const paused = this.timers.length - running.length;
+
+        if (running.length === 0 && paused === 0) {
+            this.el.hide();
+            return;
+        }
+        this.el.show();
+
+        let text: string;
+        if (running.length === 1) {
+            text = `${renderDisplay(running[0])} · ${timerLabel(running[0])}`;
+        } else if (running.length > 1) {
+            const soonest = running
+                .filter((t) => isTimed(t) && !t.overtime)
+                .sort((a, b) => currentRemaining(a) - currentRemaining(b))[0];
+            text = `⌛ ${running.length} running`;
+            if (soonest) text += ` · ⏲️ ${formatDuration(currentRemaining(soonest))}`;
+        } else {
+            text = `⏳ ${paused} paused`;
+        }
+
+        this.el.setText(text);
+        this.el.setAttribute('aria-label', 'Show running and paused timers');
+    }
+}
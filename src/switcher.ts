@@ -0,0 +1,125 @@
+import { App, Keymap, SuggestModal, TFile, setIcon } from 'obsidian';
+import { TimerData, TimerSettings } from './types';
+import { TimerSession } from './analytics/scanner';
+import { openAtLine, fileName } from './analytics/renderer';
+import { nowSec, pauseData, resumeData, stopData, renderDisplay, badgeClass } from './timer';
+import { mutateTimerInFile, enforceExclusiveFocus } from './controller';
+import { timerLabel } from './statusBar';
+
+function toggle(data: TimerData): TimerData {
+    return data.state === 'running' ? pauseData(data, nowSec()) : resumeData(data, nowSec());
+}
+
+/** Quick switcher over every running and paused timer in the vault */
+export class TimerSwitcherModal extends SuggestModal<TimerSession> {
+    private badges = new Map<HTMLElement, TimerSession>();
+    private interval: number | null = null;
+
+    constructor(
+        app: App,
+        private settings: TimerSettings,
+        private timers: () => TimerSession[],
+    ) {
+        super(app);
+        this.setPlaceholder('Find a running or paused timer…');
+        this.emptyStateText = 'No running or paused timers.';
+        this.setInstructions([
+            { command: '↵', purpose: 'jump to line' },
+            { command: 'mod ↵', purpose: 'pause / resume' },
+            { command: 'shift ↵', purpose: 'stop' },
+        ]);
+
+        // Route modified Enter through the chooser; onChooseSuggestion reads the modifiers
+        const choose = (evt: KeyboardEvent) => {
+            evt.preventDefault();
+            this.selectActiveSuggestion(evt);
+            return false;
+        };
+        this.scope.register(['Mod'], 'Enter', choose);
+        this.scope.register(['Shift'], 'Enter', choose);
+    }
+
+    onOpen() {
+        super.onOpen();
+        this.interval = window.setInterval(() => {
+            this.badges.forEach((session, el) => {
+                if (!el.isConnected) {
+                    this.badges.delete(el);
+                    return;
+                }
+                el.setText(renderDisplay(session));
+            });
+        }, 1000);
+    }
+
+    onClose() {
+        super.onClose();
+        if (this.interval !== null) {
+            window.clearInterval(this.interval);
+            this.interval = null;
+        }
+        this.badges.clear();
+    }
+
+    getSuggestions(query: string): TimerSession[] {
+        const q = query.toLowerCase();
+        return this.timers()
+            .filter((t) => !q || t.lineText.toLowerCase().includes(q) || t.filePath.toLowerCase().includes(q))
+            .sort((a, b) => (a.state === b.state ? 0 : a.state === 'running' ? -1 : 1));
+    }
+
+    renderSuggestion(session: TimerSession, el: HTMLElement) {
+        el.addClass('timer-switcher-item');
+
+        const badge = el.createSpan({ cls: badgeClass(session), text: renderDisplay(session) });
+        this.badges.set(badge, session);
+
+        const info = el.createDiv({ cls: 'timer-switcher-info' });
+        info.createDiv({ cls: 'timer-switcher-task', text: timerLabel(session) });
+        info.createDiv({ cls: 'timer-switcher-file', text: `${fileName(session.filePath)}:${session.line + 1}` });
+
+        const actions = el.createDiv({ cls: 'timer-switcher-actions' });
+        const running = session.state === 'running';
+        this.addAction(actions, running ? 'pause' : 'play', running ? 'Pause' : 'Resume', session, toggle);
+        this.addAction(actions, 'square', 'Stop', session, (d) => stopData(d, nowSec()));
+    }
+
+    onChooseSuggestion(session: TimerSession, evt: MouseEvent | KeyboardEvent) {
+        if (evt.shiftKey) {
+            void this.mutate(session, (d) => stopData(d, nowSec()));
+        } else if (Keymap.isModEvent(evt)) {
+            void this.mutate(session, toggle);
+        } else {
+            openAtLine(this.app, session.filePath, session.line);
+        }
+    }
+
+    private addAction(
+        parent: HTMLElement,
+        icon: string,
+        label: string,
+        session: TimerSession,
+        mutator: (data: TimerData) => TimerData,
+    ) {
+        const btn = parent.createEl('button', { cls: 'clickable-icon', attr: { 'aria-label': label } });
+        setIcon(btn, icon);
+        btn.addEventListener('click', (evt) => {
+            evt.preventDefault();
+            evt.stopPropagation();
+            this.close();
+            void this.mutate(session, mutator);
+        });
+    }
+
+    private async mutate(session: TimerSession, mutator: (data: TimerData) => TimerData) {
+        const file = this.app.vault.getAbstractFileByPath(session.filePath);
+        if (!(file instanceof TFile)) return;
+
+        let prev: TimerData | null = null;
+        const next = await mutateTimerInFile(this.app, file, session.id, (data) => {
+            prev = data;
+            return mutator(data);
+        });
+        await enforceExclusiveFocus(this.app, this.settings, prev, next);
+    }
+}
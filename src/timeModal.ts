@@ -7,6 +7,7 @@ import {
     parseDurationInput,
     setDisplayedSeconds,
     nowSec,
+    isTimed,
 } from './timer';
 
 export function openTimeModal(
@@ -14,7 +15,7 @@ export function openTimeModal(
     data: TimerData,
     onSubmit: (next: TimerData) => void,
 ): void {
-    const shown = data.kind === 'countdown'
+    const shown = isTimed(data)
         ? currentRemaining(data)
         : currentElapsed(data);
 
@@ -1,4 +1,5 @@
-import { TimerData, SoundType } from './types';
+import { TimerData, SoundType, PomodoroPhase } from './types';
+import { recordSegment, breakKey, discardSegments, trimSegments, markRestart, loggedSinceRestart } from './ledger';
 
 export const TIMER_MUTATED_EVENT = 'obsidian-timer-mutated';
 
@@ -14,12 +15,31 @@ function clampSeconds(value: number): number {
     return Math.max(0, Math.floor(value));
 }
 
+/** Countdowns and pomodoro phases run towards `duration`; stopwatches are open-ended */
+export function isTimed(data: TimerData): boolean {
+    return data.kind !== 'stopwatch';
+}
+
+/** Timed and not in overtime: elapsed stops at `duration` */
+function isCapped(data: TimerData): boolean {
+    return isTimed(data) && !data.overtime;
+}
+
+/** A countdown counting past zero, not yet stopped */
+export function inOvertime(data: TimerData): boolean {
+    return !!data.overtime && data.state !== 'stopped';
+}
+
+export function isBreak(data: TimerData): boolean {
+    return data.kind === 'pomodoro' && !!data.pomodoro && data.pomodoro.phase !== 'work';
+}
+
 export function currentElapsed(data: TimerData, ref = nowSec()): number {
     const base = data.state === 'running'
         ? data.elapsed + Math.max(0, ref - data.startedAt)
         : data.elapsed;
 
-    if (data.kind === 'countdown') {
+    if (isCapped(data)) {
         return Math.min(clampSeconds(base), Math.max(0, data.duration));
     }
 
@@ -27,14 +47,44 @@ export function currentElapsed(data: TimerData, ref = nowSec()): number {
 }
 
 export function currentRemaining(data: TimerData, ref = nowSec()): number {
-    if (data.kind !== 'countdown') return 0;
+    if (!isTimed(data)) return 0;
     return Math.max(0, data.duration - currentElapsed(data, ref));
 }
 
+/** Seconds an overtime countdown has run past zero */
+export function currentOvertime(data: TimerData, ref = nowSec()): number {
+    if (!data.overtime) return 0;
+    return Math.max(0, currentElapsed(data, ref) - data.duration);
+}
+
+/** End of the current run, clamped so a finished countdown stops at its deadline */
+export function runEnd(data: TimerData, ref = nowSec()): number {
+    return data.startedAt + Math.max(0, currentElapsed(data, ref) - data.elapsed);
+}
+
+/** Write the current run (if any) to the session ledger before a state change */
+export function closeSegment(data: TimerData, ref: number): void {
+    if (data.state !== 'running') return;
+    const key = isBreak(data) ? breakKey(data.id) : data.id;
+    recordSegment(key, data.startedAt, runEnd(data, ref));
+}
+
+/** Back to the start: the first work phase of a pomodoro (keeping the cycle plan), or a countdown out of overtime */
+function restartCycle(data: TimerData): TimerData {
+    if (data.overtime) return { ...data, overtime: false };
+    if (data.kind !== 'pomodoro' || !data.pomodoro) return data;
+    return {
+        ...data,
+        duration: data.pomodoro.work,
+        pomodoro: { ...data.pomodoro, phase: 'work', round: 1 },
+    };
+}
+
 export function pauseData(data: TimerData, ref = nowSec()): TimerData {
+    closeSegment(data, ref);
     const elapsed = currentElapsed(data, ref);
 
-    if (data.kind === 'countdown' && elapsed >= data.duration) {
+    if (data.kind === 'countdown' && !data.overtime && elapsed >= data.duration) {
         return { ...data, state: 'stopped', elapsed: data.duration, startedAt: ref };
     }
 
@@ -42,37 +92,54 @@ export function pauseData(data: TimerData, ref = nowSec()): TimerData {
 }
 
 export function resumeData(data: TimerData, ref = nowSec()): TimerData {
-    const elapsed = data.state === 'stopped' ? 0 : currentElapsed(data, ref);
+    closeSegment(data, ref);
+    const stopped = data.state === 'stopped';
+    if (stopped) markRestart(data.id, ref);
+    const base = stopped ? restartCycle(data) : data;
+    const elapsed = stopped ? 0 : currentElapsed(data, ref);
 
     return {
-        ...data,
+        ...base,
         state: 'running',
-        elapsed: data.kind === 'countdown' ? Math.min(elapsed, data.duration) : elapsed,
+        elapsed: isCapped(base) ? Math.min(elapsed, base.duration) : elapsed,
         startedAt: ref,
     };
 }
 
 export function stopData(data: TimerData, ref = nowSec()): TimerData {
+    closeSegment(data, ref);
     return { ...data, state: 'stopped', elapsed: currentElapsed(data, ref), startedAt: ref };
 }
 
+/** Back to zero; the timer's recorded runs are discarded too, so analytics matches the badge */
 export function resetData(data: TimerData, ref = nowSec()): TimerData {
-    return { ...data, state: 'paused', elapsed: 0, startedAt: ref };
+    discardSegments(data.id);
+    return { ...restartCycle(data), state: 'paused', elapsed: 0, startedAt: ref };
 }
 
+/**
+ * Countdowns: set the remaining time (time already spent stays recorded).
+ * Stopwatches: set the elapsed time; lowering it trims the newest recorded runs to match.
+ */
 export function setDisplayedSeconds(data: TimerData, seconds: number, ref = nowSec()): TimerData {
+    closeSegment(data, ref);
     const value = clampSeconds(seconds);
 
-    if (data.kind === 'countdown') {
+    if (isTimed(data)) {
         return {
             ...data,
             duration: value,
             elapsed: 0,
+            overtime: false,
             startedAt: ref,
             state: data.state === 'stopped' ? 'paused' : data.state,
         };
     }
 
+    // Time the ledger never saw goes first, then logged runs since the last restart; earlier runs stay counted
+    const logged = Math.min(loggedSinceRestart(data.id), currentElapsed(data, ref));
+    trimSegments(data.id, logged - value);
+
     return {
         ...data,
         elapsed: value,
@@ -218,30 +285,55 @@ export function playCompletionSound(type: SoundType = 'chime') {
     } catch {}
 }
 
-/** Both stopwatch and countdown use ⏳/⌛ when running */
-export function renderDisplay(data: TimerData): string {
-    const shown = data.kind === 'countdown'
+const PHASE_ICONS: Record<PomodoroPhase, string> = { work: '🍅', short: '☕', long: '🌴' };
+const PHASE_NAMES: Record<PomodoroPhase, string> = { work: 'Work', short: 'Short break', long: 'Long break' };
+
+function shownSeconds(data: TimerData): number {
+    if (inOvertime(data)) return currentOvertime(data);
+    return isTimed(data)
         ? (data.state === 'stopped' ? currentElapsed(data) : currentRemaining(data))
         : currentElapsed(data);
+}
+
+export function badgeClass(data: TimerData): string {
+    const phase = data.pomodoro ? ` timer-phase-${data.pomodoro.phase}` : '';
+    const overtime = inOvertime(data) ? ' timer-overtime' : '';
+    return `timer-badge timer-${data.kind} timer-${data.state}${phase}${overtime}`;
+}
+
+/** Both stopwatch and countdown use ⏳/⌛ when running; a running pomodoro shows only its phase. Overtime is shown negative: ⌛-03:12 */
+export function renderDisplay(data: TimerData): string {
+    const shown = shownSeconds(data);
 
     let icon: string;
 
     if (data.state === 'running') {
-        icon = '⌛';
+        icon = data.pomodoro ? '' : '⌛';
     } else if (data.state === 'stopped') {
         icon = '⏹️';
     } else {
         icon = '⏳';
     }
 
-    return `${icon}${formatDuration(shown)}`;
+    if (data.pomodoro) {
+        const p = data.pomodoro;
+        return `${icon}${PHASE_ICONS[p.phase]} ${p.round}/${p.rounds} · ${formatDuration(shown)}`;
+    }
+
+    const sign = inOvertime(data) ? '-' : '';
+    return `${icon}${sign}${formatDuration(shown)}`;
 }
 
 export function ariaLabel(data: TimerData): string {
-    const kind = data.kind === 'countdown' ? 'Countdown' : 'Stopwatch';
+    const kind = data.kind.charAt(0).toUpperCase() + data.kind.slice(1);
     const state = data.state.charAt(0).toUpperCase() + data.state.slice(1);
-    const shown = data.kind === 'countdown'
-        ? (data.state === 'stopped' ? currentElapsed(data) : currentRemaining(data))
-        : currentElapsed(data);
-    return `${kind} ${state}: ${formatDuration(shown)}`;
-}
\ No newline at end of file
+    const phase = data.pomodoro
+        ? ` ${PHASE_NAMES[data.pomodoro.phase].toLowerCase()}, round ${data.pomodoro.round} of ${data.pomodoro.rounds}`
+        : '';
+    const overtime = inOvertime(data) ? 'overtime ' : '';
+    return `${kind}${phase} ${state}: ${overtime}${formatDuration(shownSeconds(data))}`;
+}
+
+export function phaseName(phase: PomodoroPhase): string {
+    return PHASE_NAMES[phase];
+}
@@ -0,0 +1,245 @@
+import { App, CachedMetadata, Component, EventRef, Events, MarkdownView, TAbstractFile, TFile } from 'obsidian';
+import { TimerData } from './types';
+import { timerRegex, extractTimerData, render } from './editor';
+import { TIMER_MUTATED_EVENT, isTimed, nowSec } from './timer';
+
+/** Where a timer lives: used to attribute its time to tags, headings, folders and projects */
+export interface TimerContext {
+    tags: string[];
+    /** Line text without list markers, checkbox, tags and timer tags */
+    task: string;
+    heading: string | null;
+    folder: string;
+    projects: string[];
+}
+
+/** A timer tag as found in the vault, with its position and context */
+export interface IndexedTimer extends TimerData {
+    filePath: string;
+    /** 0-based line of the tag in its file */
+    line: number;
+    lineText: string;
+    context: TimerContext;
+}
+
+const TAG_RE = /(?:^|\s)#([^\s#,;:!?()[\]{}"'`]+)/g;
+const TASK_PREFIX_RE = /^\s*>?\s*(?:\d+\.\s|[-+*]\s|#+\s)?(?:\[.\]\s)?/;
+
+function lineTags(lineText: string): string[] {
+    const tags = new Set<string>();
+    for (const m of lineText.matchAll(TAG_RE)) {
+        if (!/^\d+$/.test(m[1])) tags.add(m[1]);
+    }
+    return [...tags];
+}
+
+export function taskText(lineText: string): string {
+    return lineText
+        .replace(timerRegex(), '')
+        .replace(TASK_PREFIX_RE, '')
+        .replace(TAG_RE, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function frontmatterProjects(cache: CachedMetadata | null): string[] {
+    const raw: unknown = cache?.frontmatter?.project;
+    const list = Array.isArray(raw) ? raw : raw != null ? [raw] : [];
+    return list.map((p) => String(p).replace(/^\[\[|\]\]$/g, '').trim()).filter(Boolean);
+}
+
+function enclosingHeading(cache: CachedMetadata | null, line: number): string | null {
+    let heading: string | null = null;
+    for (const h of cache?.headings ?? []) {
+        if (h.position.start.line > line) break;
+        heading = h.heading;
+    }
+    return heading;
+}
+
+export function folderOf(path: string): string {
+    const i = path.lastIndexOf('/');
+    return i === -1 ? '/' : path.slice(0, i);
+}
+
+/** Parse every timer tag in a note's content */
+export function parseFileTimers(app: App, file: TFile, content: string): IndexedTimer[] {
+    if (!content.includes('⏳[')) return [];
+
+    const cache = app.metadataCache.getFileCache(file);
+    const projects = frontmatterProjects(cache);
+    const folder = folderOf(file.path);
+    const found: IndexedTimer[] = [];
+
+    const re = timerRegex();
+    let m: RegExpExecArray | null;
+
+    while ((m = re.exec(content)) !== null) {
+        const lineStart = content.lastIndexOf('\n', m.index) + 1;
+        const lineEndIdx = content.indexOf('\n', m.index);
+        const lineText = content.slice(lineStart, lineEndIdx === -1 ? content.length : lineEndIdx);
+        const line = content.slice(0, lineStart).split('\n').length - 1;
+
+        found.push({
+            ...extractTimerData(m),
+            filePath: file.path,
+            line,
+            lineText,
+            context: {
+                tags: lineTags(lineText),
+                task: taskText(lineText),
+                heading: enclosingHeading(cache, line),
+                folder,
+                projects,
+            },
+        });
+    }
+
+    return found;
+}
+
+/** Cheap identity of a file's timers, so unrelated edits do not fire 'changed' */
+function signature(timers: IndexedTimer[]): string {
+    return timers.map((t) => `${t.line}:${render(t)}:${t.lineText}:${JSON.stringify(t.context)}`).join('\n');
+}
+
+/**
+ * In-memory map of every timer tag in the vault, built once and kept current from
+ * metadata cache updates, renames, deletes and TIMER_MUTATED_EVENT (open editors).
+ * Fires 'changed' with the affected path whenever a file's timers change.
+ */
+export class TimerIndex extends Component {
+    private byFile = new Map<string, IndexedTimer[]>();
+    private signatures = new Map<string, string>();
+    private events = new Events();
+    private mutatedRef = () => this.reindexOpenEditors();
+    private contextRefreshed = false;
+
+    constructor(private app: App) {
+        super();
+    }
+
+    onload() {
+        window.addEventListener(TIMER_MUTATED_EVENT, this.mutatedRef);
+
+        this.registerEvent(
+            this.app.metadataCache.on('changed', (file, data) => this.update(file, data)),
+        );
+        this.registerEvent(this.app.vault.on('delete', (file) => this.remove(file.path)));
+        this.registerEvent(this.app.vault.on('rename', (file, oldPath) => void this.rename(file, oldPath)));
+        // Headings and frontmatter may not be cached yet when the index is first built
+        this.registerEvent(this.app.metadataCache.on('resolved', () => {
+            if (this.contextRefreshed) return;
+            this.contextRefreshed = true;
+            void this.refreshContext();
+        }));
+    }
+
+    onunload() {
+        window.removeEventListener(TIMER_MUTATED_EVENT, this.mutatedRef);
+    }
+
+    on(name: 'changed', callback: (path: string) => void): EventRef {
+        return this.events.on(name, callback as (...data: unknown[]) => unknown);
+    }
+
+    /** One full read of the vault; everything after this is incremental */
+    async build(): Promise<void> {
+        for (const file of this.app.vault.getMarkdownFiles()) {
+            this.update(file, await this.app.vault.cachedRead(file), false);
+        }
+    }
+
+    update(file: TFile, content: string, notify = true): void {
+        if (file.extension !== 'md') return;
+
+        const timers = parseFileTimers(this.app, file, content);
+        const sig = signature(timers);
+        if ((this.signatures.get(file.path) ?? '') === sig) return;
+
+        if (timers.length > 0) {
+            this.byFile.set(file.path, timers);
+            this.signatures.set(file.path, sig);
+        } else {
+            this.byFile.delete(file.path);
+            this.signatures.delete(file.path);
+        }
+
+        if (notify) this.events.trigger('changed', file.path);
+    }
+
+    private remove(path: string): void {
+        if (!this.byFile.delete(path)) return;
+        this.signatures.delete(path);
+        this.events.trigger('changed', path);
+    }
+
+    private async rename(file: TAbstractFile, oldPath: string): Promise<void> {
+        this.remove(oldPath);
+        if (file instanceof TFile) this.update(file, await this.app.vault.cachedRead(file));
+    }
+
+    /** Editor edits reach the disk (and the metadata cache) late; read open editors directly */
+    reindexOpenEditors(): void {
+        this.app.workspace.getLeavesOfType('markdown').forEach((leaf) => {
+            if (!(leaf.view instanceof MarkdownView) || !leaf.view.file) return;
+            this.update(leaf.view.file, leaf.view.editor.getValue());
+        });
+    }
+
+    private async refreshContext(): Promise<void> {
+        for (const path of [...this.byFile.keys()]) {
+            const file = this.app.vault.getAbstractFileByPath(path);
+            if (!(file instanceof TFile)) continue;
+            this.update(file, await this.app.vault.cachedRead(file));
+        }
+    }
+
+    get(path: string): IndexedTimer[] {
+        return this.byFile.get(path) ?? [];
+    }
+
+    all(): IndexedTimer[] {
+        return [...this.byFile.values()].flat();
+    }
+
+    /** Paths holding at least one running timer */
+    runningFiles(): string[] {
+        return [...this.byFile.entries()]
+            .filter(([, timers]) => timers.some((t) => t.state === 'running'))
+            .map(([path]) => path);
+    }
+
+    /**
+     * Earliest epoch second at which a running countdown or pomodoro phase runs out,
+     * or a countdown reaches one of the upcoming pre-warning `offsets` (seconds left).
+     * Timers in `held` are skipped.
+     */
+    nextDeadline(offsets: number[] = [], now = nowSec(), held: ReadonlySet<string> = new Set()): number | null {
+        let next: number | null = null;
+        const consider = (at: number) => {
+            if (next === null || at < next) next = at;
+        };
+
+        for (const t of this.all()) {
+            if (t.state !== 'running' || !isTimed(t) || t.overtime || held.has(t.id)) continue;
+            const deadline = t.startedAt + Math.max(0, t.duration - t.elapsed);
+            consider(deadline);
+
+            if (t.kind !== 'countdown') continue;
+            offsets.map((s) => deadline - s).filter((at) => at > now).forEach(consider);
+        }
+        return next;
+    }
+}
+
+/* Module‑level index ref, set once from plugin.onload */
+let _index: TimerIndex | null = null;
+
+export function setTimerIndex(index: TimerIndex | null) {
+    _index = index;
+}
+
+export function getTimerIndex(): TimerIndex | null {
+    return _index;
+}
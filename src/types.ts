@@ -1,6 +1,18 @@
 export type TimerState = 'running' | 'paused' | 'stopped';
-export type TimerKind = 'stopwatch' | 'countdown';
+export type TimerKind = 'stopwatch' | 'countdown' | 'pomodoro';
 export type SoundType = 'chime' | 'bell' | 'beep' | 'digital' | 'marimba';
+export type PomodoroPhase = 'work' | 'short' | 'long';
+export type RecoveryPolicy = 'pause' | 'keep' | 'ask';
+
+/** Cycle position and plan of a pomodoro, serialized in the tag so in-flight cycles ignore later settings changes */
+export interface PomodoroState {
+    phase: PomodoroPhase;
+    round: number;
+    rounds: number;
+    work: number;
+    shortBreak: number;
+    longBreak: number;
+}
 
 export interface TimerData {
     id: string;
@@ -9,6 +21,15 @@ export interface TimerData {
     elapsed: number;
     startedAt: number;
     duration: number;
+    pomodoro?: PomodoroState;
+    /** Countdown kept running past zero; elapsed then exceeds duration */
+    overtime?: boolean;
+}
+
+/** Notify when a running countdown has `seconds` left */
+export interface CountdownWarning {
+    seconds: number;
+    sound: SoundType;
 }
 
 export interface TimerSettings {
@@ -18,4 +39,19 @@ export interface TimerSettings {
     playCompletionSound: boolean;
     soundType: SoundType;
     enableAnalytics: boolean;
+    pomodoroWorkSeconds: number;
+    pomodoroShortBreakSeconds: number;
+    pomodoroLongBreakSeconds: number;
+    pomodoroRounds: number;
+    workSound: SoundType;
+    shortBreakSound: SoundType;
+    longBreakSound: SoundType;
+    exportFolder: string;
+    exclusiveRunning: boolean;
+    recoveryPolicy: RecoveryPolicy;
+    /** Minutes without editor activity before offering to trim running timers; 0 = off */
+    idleMinutes: number;
+    countdownWarnings: CountdownWarning[];
+    countdownOvertime: boolean;
+    systemNotifications: boolean;
 }
\ No newline at end of file
@@ -7,22 +7,26 @@ import {
     WidgetType,
 } from '@codemirror/view';
 import { RangeSetBuilder } from '@codemirror/state';
-import { App, Menu, Notice } from 'obsidian';
+import { App, Menu } from 'obsidian';
 import { TimerData } from './types';
 import {
     renderDisplay,
     currentRemaining,
     nowSec,
-    stopData,
     TIMER_MUTATED_EVENT,
-    playCompletionSound,
     ariaLabel,
+    badgeClass,
+    isTimed,
 } from './timer';
+import { advancePomodoro, announcePomodoro } from './pomodoro';
+import { finishCountdown, announceFinished, checkWarnings } from './alerts';
 import { TimerSettings } from './types';
 import { timerRegex, render, extractTimerData, computeRemovalRange } from './editor';
 import { addTimerMenuItems } from './menu';
 import { openTimeModal } from './timeModal';
 import { addLongPress } from './longPress';
+import { enforceExclusiveFocus } from './controller';
+import { isExpiryHeld } from './recovery';
 
 /* Module‑level app ref, set once from plugin.onload */
 let _app: App | null = null;
@@ -90,19 +94,12 @@ class TimerWidget extends WidgetType {
     }
 
     eq(other: TimerWidget): boolean {
-        return (
-            this.data.id === other.data.id &&
-            this.data.kind === other.data.kind &&
-            this.data.state === other.data.state &&
-            this.data.elapsed === other.data.elapsed &&
-            this.data.startedAt === other.data.startedAt &&
-            this.data.duration === other.data.duration
-        );
+        return render(this.data) === render(other.data);
     }
 
     toDOM(view: EditorView): HTMLElement {
         const el = document.createElement('span');
-        el.className = `timer-badge timer-${this.data.kind} timer-${this.data.state}`;
+        el.className = badgeClass(this.data);
         el.setAttribute('role', 'button');
         el.setAttribute('tabindex', '0');
         el.setAttribute('aria-label', ariaLabel(this.data));
@@ -111,23 +108,33 @@ class TimerWidget extends WidgetType {
         const locate = (): LocatedTimer | null => locateTimer(view, el, this.data.id);
 
         const finishCountdownIfNeeded = (): boolean => {
-            if (this.data.kind !== 'countdown' || this.data.state !== 'running') return false;
+            if (!isTimed(this.data) || this.data.state !== 'running' || this.data.overtime) return false;
             if (currentRemaining(this.data) > 0) return false;
+            // Awaiting the recovery review; expire once the user has decided
+            if (isExpiryHeld(this.data.id)) return false;
+
+            const isPomodoro = this.data.kind === 'pomodoro';
 
             if (this.isFirstRender) {
                 // Expired while closed. Prevent file mutation during read/render phase.
                 // Let the background expiry scanner handle the file write.
-                this.data = stopData(this.data, nowSec());
+                this.data = isPomodoro
+                    ? advancePomodoro(this.data, nowSec()).data
+                    : finishCountdown(this.data, _settings, nowSec());
                 return false;
             }
 
             const range = locate();
             if (!range) return false;
 
-            new Notice('Timer finished!');
-            if (_settings?.playCompletionSound) playCompletionSound(_settings.soundType);
-            
-            replaceLocatedTimer(view, range, stopData(this.data, nowSec()));
+            if (isPomodoro) {
+                const step = advancePomodoro(this.data, nowSec());
+                announcePomodoro(step, _settings);
+                replaceLocatedTimer(view, range, step.data);
+            } else {
+                announceFinished(_settings);
+                replaceLocatedTimer(view, range, finishCountdown(this.data, _settings, nowSec()));
+            }
 
             if (this.interval !== null) {
                 window.clearInterval(this.interval);
@@ -139,8 +146,9 @@ class TimerWidget extends WidgetType {
 
         const update = () => {
             if (finishCountdownIfNeeded()) return;
+            checkWarnings(this.data, _settings);
             this.isFirstRender = false;
-            el.className = `timer-badge timer-${this.data.kind} timer-${this.data.state}`;
+            el.className = badgeClass(this.data);
             el.textContent = renderDisplay(this.data);
             el.setAttribute('aria-label', ariaLabel(this.data));
         };
@@ -151,7 +159,9 @@ class TimerWidget extends WidgetType {
             addTimerMenuItems(menu, this.data, {
                 replace: (next) => {
                     const range = locate();
-                    if (range) replaceLocatedTimer(view, range, next);
+                    if (!range) return;
+                    replaceLocatedTimer(view, range, next);
+                    if (_app && _settings) void enforceExclusiveFocus(_app, _settings, this.data, next);
                 },
                 changeTime: () => {
                     if (!_app) return;